@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// Benchmark findEchoes on a synthetic corpus.
+//   node bench/find-echoes.bench.js [reflections] [queries]
+// Compares the indexed lookup against the old full linear scan.
+
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+const CORPUS_SIZE = Number(process.argv[2]) || 50000;
+const QUERY_COUNT = Number(process.argv[3]) || 200;
+const VOCABULARY_SIZE = 8000;
+
+// Deterministic generator so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+}
+
+// Zipf-like vocabulary: a few very common words and a long tail of rare ones
+const commonWords = ['i', 'the', 'a', 'and', 'to', 'of', 'my', 'is', 'in', 'that', 'what', 'why', 'do', 'me'];
+const vocabulary = Array.from({ length: VOCABULARY_SIZE }, (_, i) => `word${i.toString(36)}`);
+
+function pickWord() {
+  if (random() < 0.35) {
+    return commonWords[Math.floor(random() * commonWords.length)];
+  }
+  return vocabulary[Math.floor(Math.pow(random(), 2) * VOCABULARY_SIZE)];
+}
+
+function syntheticThought() {
+  const length = 6 + Math.floor(random() * 18);
+  return Array.from({ length }, pickWord).join(' ');
+}
+
+// In-memory storage so the benchmark measures lookup, not disk
+const memoryStorage = {
+  type: 'memory',
+  async open() {},
+  async load() { return { records: [], errors: [], connections: null }; },
+  async putReflection() {},
+  async putReflections() {},
+  async deleteReflection() {},
+  async putConnections() {},
+  async compact() { return { before: null, after: null }; },
+  async close() {}
+};
+
+function linearScan(engine, thought, depth) {
+  const echoes = [];
+  for (const [id, reflection] of engine.reflections) {
+    const similarity = engine.calculateSimilarity(thought, reflection.original);
+    if (similarity > 0.2) echoes.push({ id, similarity });
+  }
+  echoes.sort((a, b) => b.similarity - a.similarity);
+  const limits = { surface: 3, deep: 7, abyss: 15 };
+  return echoes.slice(0, limits[depth] || 7);
+}
+
+async function time(label, queries, run) {
+  const start = process.hrtime.bigint();
+  let found = 0;
+  for (const query of queries) {
+    found += (await run(query)).length;
+  }
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(14)} ${(elapsed / queries.length).toFixed(3)} ms/query  (${found} echoes)`);
+  return elapsed;
+}
+
+async function main() {
+  const engine = new ReflectionEngine('bench-reflections', { storage: memoryStorage });
+  await engine.initialize();
+
+  const buildStart = process.hrtime.bigint();
+  const start = Date.parse('2020-01-01T00:00:00Z');
+  for (let i = 0; i < CORPUS_SIZE; i++) {
+    const original = syntheticThought();
+    const reflection = {
+      id: `r${i}`,
+      original,
+      depth: 'deep',
+      timestamp: new Date(start + i * 3600000).toISOString(),
+      mirrors: [],
+      resonance: random(),
+      evolution: null
+    };
+    engine.reflections.set(reflection.id, reflection);
+    engine.indexReflection(reflection);
+  }
+  const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+  console.log(`Indexed ${CORPUS_SIZE} synthetic reflections in ${buildMs.toFixed(0)} ms`);
+
+  const queries = Array.from({ length: QUERY_COUNT }, syntheticThought);
+
+  const linear = await time('linear scan', queries, query => linearScan(engine, query, 'deep'));
+  const indexed = await time('indexed', queries, query => engine.findEchoes(query, 'deep'));
+  console.log(`Speedup: ${(linear / indexed).toFixed(1)}x`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
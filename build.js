@@ -20,10 +20,14 @@ try {
 // Verify structure
 const requiredFiles = [
     'server/mirrorpool-server.js',
+    'server/mirrorpool-cli.js',
     'lib/reflection-engine.js',
     'lib/pattern-detector.js',
     'lib/depth-analyzer.js',
     'lib/consciousness-tracker.js',
+    'lib/reflection-schema.js',
+    'lib/storage/index.js',
+    'lib/similarity/index.js',
     'package.json',
     'README.md'
 ];
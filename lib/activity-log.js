@@ -0,0 +1,62 @@
+import { randomBytes } from 'crypto';
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+// Which tools were called, when and on which thought, kept beside the
+// archive so behavioral patterns can see how someone reflects. Entries name
+// thoughts only by reflection id, never by their text. The log is plaintext
+// even in an encrypted archive: its times, tools and ids stay readable.
+// Every process appends to the one log; each line is small enough to land in
+// a single append.
+const ACTIVITY_FILE = 'mirrorpool.activity.jsonl';
+
+class ActivityLog {
+  constructor(storagePath, { enabled = true } = {}) {
+    this.path = join(storagePath, ACTIVITY_FILE);
+    this.storagePath = storagePath;
+    this.enabled = enabled;
+    // Calls made through this process belong to one session
+    this.session = randomBytes(6).toString('hex');
+  }
+
+  async record(tool, details = {}) {
+    if (!this.enabled) return null;
+
+    const entry = { at: new Date().toISOString(), session: this.session, tool, ...details };
+    await mkdir(this.storagePath, { recursive: true });
+    await appendFile(this.path, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  // Entries oldest first, optionally from after up to but not including
+  // before. A torn or foreign line is skipped rather than failing the whole read.
+  async read({ after = null, before = null } = {}) {
+    let content;
+    try {
+      content = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      const time = new Date(entry?.at);
+      if (typeof entry?.tool !== 'string' || Number.isNaN(time.getTime())) continue;
+      if (after && time < new Date(after)) continue;
+      if (before && time >= new Date(before)) continue;
+      entries.push(entry);
+    }
+
+    return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+}
+
+export { ACTIVITY_FILE, ActivityLog };
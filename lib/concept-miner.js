@@ -0,0 +1,174 @@
+import { tokenize } from './text-analysis.js';
+import { UNDETERMINED, isStopWord, stem } from './language.js';
+
+// Words journals lean on so often that they say nothing about what a
+// reflection is about, on top of each language's stop words
+const FILLER_WORDS = {
+  en: new Set([
+    'feel', 'feels', 'felt', 'think', 'thinking', 'thought', 'know', 'knew', 'want', 'wanted',
+    'today', 'yesterday', 'tonight', 'something', 'anything', 'everything', 'nothing', 'someone',
+    'one', 'make', 'made', 'going', 'maybe', 'seem', 'seems', 'many', 'lot', 'kind', 'sort', 'way'
+  ]),
+  es: new Set([
+    'siento', 'sentí', 'creo', 'pienso', 'sé', 'quiero', 'hoy', 'ayer', 'ahora', 'cosa', 'cosas',
+    'hacer', 'hice', 'puedo', 'quizás', 'tal', 'forma', 'manera', 'muchas', 'muchos'
+  ])
+};
+
+// Phrases never run across punctuation
+const PHRASE_BREAK = /[.!?;:,\n()"“”]+/;
+const MIN_WORD_LENGTH = 3;
+
+function isFiller(token, language) {
+  if (FILLER_WORDS[language]) return FILLER_WORDS[language].has(token);
+  return Object.values(FILLER_WORDS).some(words => words.has(token));
+}
+
+// Runs of adjacent content words in a text; a stop word, filler word, number
+// or punctuation mark ends a run
+function contentRuns(text, language) {
+  const runs = [];
+  for (const clause of text.split(PHRASE_BREAK)) {
+    let run = [];
+    for (const token of tokenize(clause)) {
+      if (token.length < MIN_WORD_LENGTH || /^\p{N}+$/u.test(token) ||
+          isStopWord(token, language) || isFiller(token, language)) {
+        if (run.length > 0) runs.push(run);
+        run = [];
+        continue;
+      }
+      run.push({ word: token, stem: stem(token, language) });
+    }
+    if (run.length > 0) runs.push(run);
+  }
+  return runs;
+}
+
+// Mines the concepts a set of reflections keeps coming back to: single
+// keywords, grouped by stem, and phrases of up to maxPhraseLength adjacent
+// content words. A concept has to turn up in at least minSupport
+// reflections. A phrase also has to hold together: it must account for at
+// least minCohesion of the reflections using its rarest word, so "inner
+// child" is a phrase while a chance pairing of two common words is not.
+//
+// Related concepts are the ones that share reflections with a concept most
+// often, by cosine of the two sets of reflections.
+class ConceptMiner {
+  constructor({ minSupport = 2, maxPhraseLength = 3, minCohesion = 0.5, maxRelated = 5 } = {}) {
+    this.minSupport = minSupport;
+    this.maxPhraseLength = maxPhraseLength;
+    this.minCohesion = minCohesion;
+    this.maxRelated = maxRelated;
+  }
+
+  // Concepts found in the reflections, most widespread first. Each has
+  // key (stems), name (its most used wording), kind ('keyword' or 'phrase'),
+  // reflections (ids), mentions and related (names).
+  mine(reflections) {
+    const terms = new Map();
+
+    for (const reflection of reflections) {
+      const language = reflection.language || UNDETERMINED;
+      const seen = new Set();
+
+      for (const run of contentRuns(reflection.original || '', language)) {
+        for (let start = 0; start < run.length; start++) {
+          for (let length = 1; length <= this.maxPhraseLength && start + length <= run.length; length++) {
+            const words = run.slice(start, start + length);
+            const key = words.map(word => word.stem).join(' ');
+            // The same word twice ("again and again") is not a phrase
+            if (length > 1 && new Set(words.map(word => word.stem)).size < length) continue;
+
+            if (!terms.has(key)) {
+              terms.set(key, { key, length, stems: words.map(word => word.stem), reflections: [], mentions: 0, forms: new Map() });
+            }
+            const term = terms.get(key);
+            const form = words.map(word => word.word).join(' ');
+            term.mentions++;
+            term.forms.set(form, (term.forms.get(form) || 0) + 1);
+            if (!seen.has(key)) {
+              seen.add(key);
+              term.reflections.push(reflection.id);
+            }
+          }
+        }
+      }
+    }
+
+    const concepts = [...terms.values()].filter(term =>
+      term.reflections.length >= this.minSupport &&
+      (term.length === 1 || this.cohesion(term, terms) >= this.minCohesion));
+
+    const kept = this.dropSubsumed(concepts)
+      .map(term => ({
+        key: term.key,
+        name: this.preferredForm(term.forms),
+        kind: term.length === 1 ? 'keyword' : 'phrase',
+        stems: term.stems,
+        reflections: term.reflections,
+        mentions: term.mentions
+      }))
+      .sort((a, b) => b.reflections.length - a.reflections.length || b.mentions - a.mentions || a.key.localeCompare(b.key));
+
+    this.relate(kept);
+    return kept;
+  }
+
+  cohesion(term, terms) {
+    const rarest = Math.min(...term.stems.map(part => terms.get(part)?.reflections.length ?? Infinity));
+    return term.reflections.length / rarest;
+  }
+
+  // A word or phrase that only ever appears inside a longer phrase is
+  // reported as that phrase alone
+  dropSubsumed(concepts) {
+    const longer = concepts.filter(concept => concept.length > 1);
+    return concepts.filter(concept => !longer.some(phrase =>
+      phrase.length > concept.length &&
+      phrase.reflections.length === concept.reflections.length &&
+      ` ${phrase.key} `.includes(` ${concept.key} `)));
+  }
+
+  preferredForm(forms) {
+    return [...forms.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+  }
+
+  relate(concepts) {
+    const byReflection = new Map();
+    concepts.forEach((concept, index) => {
+      for (const id of concept.reflections) {
+        if (!byReflection.has(id)) byReflection.set(id, []);
+        byReflection.get(id).push(index);
+      }
+    });
+
+    const shared = concepts.map(() => new Map());
+    for (const indexes of byReflection.values()) {
+      for (const a of indexes) {
+        for (const b of indexes) {
+          if (a !== b) shared[a].set(b, (shared[a].get(b) || 0) + 1);
+        }
+      }
+    }
+
+    concepts.forEach((concept, a) => {
+      concept.related = [...shared[a].entries()]
+        // Co-occurring once proves nothing, and a phrase always comes with its own words
+        .filter(([b, count]) => count >= this.minSupport && !this.overlaps(concept, concepts[b]))
+        .map(([b, count]) => ({
+          name: concepts[b].name,
+          score: count / Math.sqrt(concept.reflections.length * concepts[b].reflections.length)
+        }))
+        .sort((x, y) => y.score - x.score || x.name.localeCompare(y.name))
+        .slice(0, this.maxRelated)
+        .map(related => related.name);
+    });
+  }
+
+  overlaps(concept, other) {
+    return concept.stems.some(part => other.stems.includes(part));
+  }
+}
+
+export { ConceptMiner };
@@ -2,16 +2,20 @@ import { EventEmitter } from 'events';
 import { createHash } from 'crypto';
 
 class ConsciousnessTracker extends EventEmitter {
-  constructor() {
+  constructor(engine = null) {
     super();
+    this.engine = engine;
     this.states = new Map();
     this.synthesisMoments = [];
     this.evolutionPath = [];
     this.resonanceField = new Map();
     this.emergenceThreshold = 0.7;
+
+    // A reflection that echoes several earlier thoughts draws them together
+    this.engine?.on('reflection-recorded', ({ id }) => this.recordReflectionSynthesis(id));
   }
 
-  async findSynthesisMoments(minSources = 2, includeContext = true) {
+  async findSynthesisMoments(minSources = 2, includeContext = true, filters = {}) {
     const moments = {
       count: 0,
       moments: [],
@@ -21,7 +25,7 @@ class ConsciousnessTracker extends EventEmitter {
 
     // Analyze stored synthesis moments
     for (const moment of this.synthesisMoments) {
-      if (moment.sources.length >= minSources) {
+      if (moment.sources.length >= minSources && this.momentMatches(moment, filters)) {
         const momentData = {
           id: moment.id,
           timestamp: moment.timestamp,
@@ -49,6 +53,17 @@ class ConsciousnessTracker extends EventEmitter {
     return moments;
   }
 
+  // A moment is in scope when any of its sources was a reflection matching the filters
+  momentMatches(moment, filters) {
+    const filtered = Object.values(filters).some(value => value !== undefined);
+    if (!filtered || !this.engine) return true;
+
+    return moment.sources.some(source => {
+      const reflection = this.engine.reflections.get(this.generateHash(source));
+      return reflection !== undefined && this.engine.matchesFilters(reflection, filters);
+    });
+  }
+
   recordSynthesis(sources, result) {
     const synthesis = {
       id: this.generateSynthesisId(),
@@ -68,6 +83,19 @@ class ConsciousnessTracker extends EventEmitter {
     return synthesis;
   }
 
+  // The mirrored thoughts are the sources and the new thought their synthesis
+  recordReflectionSynthesis(id) {
+    const reflection = this.engine.reflections.get(id);
+    if (!reflection) return null;
+
+    const sources = reflection.mirrors
+      .map(mirror => this.engine.reflections.get(mirror.id)?.original)
+      .filter(Boolean);
+    if (sources.length < 2) return null;
+
+    return this.recordSynthesis(sources, reflection.original);
+  }
+
   trackConsciousnessState(state) {
     const stateRecord = {
       id: this.generateStateId(),
@@ -0,0 +1,140 @@
+import { termFrequencies } from './text-analysis.js';
+
+// Inverted index from tokens to the reflections that contain them. The
+// engine adds stemmed tokens without stop words (see echoTerms).
+// It also holds the corpus statistics for TF-IDF scoring: findEchoes scores
+// only reflections that share at least one token with the new thought,
+// and rare shared words weigh far more than common ones.
+class EchoIndex {
+  constructor() {
+    this.postings = new Map();
+    this.documents = new Map();
+    this.normCache = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(id, tokens) {
+    if (this.documents.has(id)) {
+      this.remove(id);
+    }
+
+    const counts = termFrequencies(tokens);
+    this.documents.set(id, counts);
+    this.normCache.delete(id);
+
+    for (const token of counts.keys()) {
+      if (!this.postings.has(token)) this.postings.set(token, new Set());
+      this.postings.get(token).add(id);
+    }
+  }
+
+  remove(id) {
+    const counts = this.documents.get(id);
+    if (!counts) return false;
+
+    for (const token of counts.keys()) {
+      const posting = this.postings.get(token);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(token);
+    }
+
+    this.documents.delete(id);
+    this.normCache.delete(id);
+    return true;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.normCache.clear();
+  }
+
+  // BM25-style inverse document frequency; always positive, so words
+  // found in every reflection still count for a little
+  idf(token) {
+    const documentFrequency = this.postings.has(token) ? this.postings.get(token).size : 0;
+    const total = this.documents.size;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // Sublinear term frequency times inverse document frequency
+  weigh(counts, idfCache = new Map()) {
+    const weights = new Map();
+    for (const [token, count] of counts) {
+      if (!idfCache.has(token)) idfCache.set(token, this.idf(token));
+      weights.set(token, (1 + Math.log(count)) * idfCache.get(token));
+    }
+    return weights;
+  }
+
+  norm(weights) {
+    let sum = 0;
+    for (const weight of weights.values()) sum += weight * weight;
+    return Math.sqrt(sum);
+  }
+
+  // TF-IDF cosine similarity between two token lists
+  similarity(tokens1, tokens2) {
+    const idfCache = new Map();
+    const weights1 = this.weigh(termFrequencies(tokens1), idfCache);
+    const weights2 = this.weigh(termFrequencies(tokens2), idfCache);
+
+    const magnitude = this.norm(weights1) * this.norm(weights2);
+    if (magnitude === 0) return 0;
+
+    let dotProduct = 0;
+    for (const [token, weight] of weights1) {
+      if (weights2.has(token)) dotProduct += weight * weights2.get(token);
+    }
+    return dotProduct / magnitude;
+  }
+
+  // Document norms drift only slightly as the corpus grows,
+  // so they are cached until it has changed size by 5%
+  documentNorm(id, idfCache) {
+    const size = this.documents.size;
+    const cached = this.normCache.get(id);
+    if (cached && Math.abs(size - cached.corpusSize) <= size * 0.05) {
+      return cached.norm;
+    }
+
+    const norm = this.norm(this.weigh(this.documents.get(id), idfCache));
+    this.normCache.set(id, { norm, corpusSize: size });
+    return norm;
+  }
+
+  // Score every reflection sharing at least one token with the query
+  score(tokens) {
+    const idfCache = new Map();
+    const query = this.weigh(termFrequencies(tokens), idfCache);
+    const queryNorm = this.norm(query);
+    if (queryNorm === 0) return [];
+
+    const candidates = new Set();
+    for (const token of query.keys()) {
+      const posting = this.postings.get(token);
+      if (!posting) continue;
+      for (const id of posting) candidates.add(id);
+    }
+
+    const results = [];
+    for (const id of candidates) {
+      const counts = this.documents.get(id);
+
+      let dotProduct = 0;
+      for (const [token, queryWeight] of query) {
+        const count = counts.get(token);
+        if (count) dotProduct += queryWeight * (1 + Math.log(count)) * idfCache.get(token);
+      }
+
+      const documentNorm = this.documentNorm(id, idfCache);
+      results.push({ id, similarity: documentNorm > 0 ? dotProduct / (queryNorm * documentNorm) : 0 });
+    }
+    return results;
+  }
+}
+
+export { EchoIndex };
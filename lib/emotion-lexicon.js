@@ -0,0 +1,263 @@
+import { tokenize } from './text-analysis.js';
+import { SUPPORTED_LANGUAGES, stem } from './language.js';
+
+// Words that carry each emotion, by language. A weight says how plainly the
+// word signals the emotion: 1 names it outright, lower values only lean
+// towards it. Words are matched by stem, so "hoping" finds "hope".
+//
+// Negations switch off an emotion word that follows within NEGATION_SCOPE
+// words in the same clause ("not happy"). Intensifiers scale the next
+// emotion word up or down ("deeply grateful", "slightly anxious").
+const EMOTION_LEXICON = {
+  en: {
+    emotions: {
+      joy: {
+        joy: 1, joyful: 1, happy: 1, happiness: 1, glad: 0.8, delight: 1, delighted: 1,
+        cheerful: 0.8, elated: 1, bliss: 1, blissful: 1, laugh: 0.6, laughter: 0.6,
+        smile: 0.5, celebrate: 0.6, thrilled: 0.9, excited: 0.7, fun: 0.5
+      },
+      gratitude: {
+        grateful: 1, gratitude: 1, thankful: 1, thanks: 0.6, thank: 0.6,
+        appreciate: 0.8, appreciation: 0.8, blessed: 0.8, fortunate: 0.6, lucky: 0.5
+      },
+      wonder: {
+        wonder: 1, awe: 1, amazed: 0.9, amazing: 0.7, astonished: 0.9, marvel: 0.9,
+        breathtaking: 0.8, magical: 0.7, mysterious: 0.6, mystery: 0.6, vast: 0.4, sublime: 0.8
+      },
+      curiosity: {
+        curious: 1, curiosity: 1, wonder: 0.4, intrigued: 0.9, fascinated: 0.9,
+        fascinating: 0.8, explore: 0.6, question: 0.4, puzzle: 0.5, learn: 0.4, discover: 0.6
+      },
+      melancholy: {
+        melancholy: 1, sad: 1, sadness: 1, sorrow: 1, grief: 1, grieve: 1, mourn: 1,
+        unhappy: 1, gloomy: 0.8, nostalgic: 0.6, nostalgia: 0.6, wistful: 0.8, longing: 0.7,
+        heartbroken: 1, cry: 0.7, tears: 0.7, miss: 0.5, loss: 0.6, regret: 0.7
+      },
+      fear: {
+        fear: 1, afraid: 1, scared: 1, anxious: 0.9, anxiety: 0.9, worried: 0.8, worry: 0.8,
+        nervous: 0.7, dread: 1, panic: 1, terrified: 1, uneasy: 0.6, insecure: 0.6, threat: 0.5
+      },
+      anger: {
+        angry: 1, anger: 1, furious: 1, rage: 1, mad: 0.7, annoyed: 0.7, irritated: 0.7,
+        frustrated: 0.8, frustration: 0.8, resent: 0.9, resentment: 0.9, bitter: 0.7, hate: 0.9
+      },
+      calm: {
+        calm: 1, peace: 1, peaceful: 1, serene: 1, serenity: 1, tranquil: 1,
+        stillness: 0.7, relaxed: 0.8, relief: 0.7, relieved: 0.8, quiet: 0.4, gentle: 0.4
+      },
+      hope: {
+        hope: 1, hopeful: 1, optimistic: 0.9, optimism: 0.9, promise: 0.4,
+        trust: 0.5, faith: 0.6, believe: 0.4, possible: 0.3
+      },
+      loneliness: {
+        lonely: 1, loneliness: 1, alone: 0.7, isolated: 0.9, isolation: 0.9,
+        abandoned: 0.9, disconnected: 0.7, empty: 0.6, emptiness: 0.7
+      },
+      love: {
+        love: 1, loving: 1, beloved: 1, adore: 1, affection: 0.9, tender: 0.6,
+        tenderness: 0.8, care: 0.4, caring: 0.6, cherish: 0.9, warmth: 0.5, devotion: 0.8
+      },
+      confusion: {
+        confused: 1, confusion: 1, lost: 0.6, uncertain: 0.7, uncertainty: 0.7, unsure: 0.7,
+        bewildered: 0.9, puzzled: 0.8, torn: 0.6, doubt: 0.6, overwhelmed: 0.6
+      }
+    },
+    negations: ['not', 'no', 'never', 'nothing', 'nobody', 'neither', 'nor', 'without', 'hardly', 'cannot'],
+    intensifiers: {
+      very: 1.5, really: 1.3, so: 1.3, truly: 1.3, deeply: 1.6, profoundly: 1.6,
+      extremely: 1.8, incredibly: 1.7, utterly: 1.8, completely: 1.5, totally: 1.5,
+      quite: 1.2, especially: 1.3, most: 1.3, more: 1.2,
+      slightly: 0.5, somewhat: 0.6, bit: 0.6, little: 0.6, mildly: 0.5, barely: 0.4, less: 0.7
+    },
+    clauseBreaks: ['but', 'yet', 'though', 'although', 'however']
+  },
+  es: {
+    emotions: {
+      joy: {
+        alegría: 1, alegre: 1, feliz: 1, felicidad: 1, contento: 0.8, gozo: 1, dicha: 1,
+        encantado: 0.9, risa: 0.6, reír: 0.6, sonrisa: 0.5, celebrar: 0.6, entusiasmo: 0.7
+      },
+      gratitude: {
+        gratitud: 1, agradecido: 1, agradecida: 1, agradecer: 0.8, gracias: 0.6,
+        afortunado: 0.6, afortunada: 0.6, bendecido: 0.8
+      },
+      wonder: {
+        asombro: 1, maravilla: 1, maravillado: 0.9, asombrado: 0.9, admiración: 0.8,
+        misterio: 0.6, misterioso: 0.6, mágico: 0.7, sublime: 0.8
+      },
+      curiosity: {
+        curiosidad: 1, curioso: 1, curiosa: 1, intrigado: 0.9, intrigada: 0.9,
+        fascinado: 0.9, fascinante: 0.8, explorar: 0.6, descubrir: 0.6, preguntar: 0.4
+      },
+      melancholy: {
+        melancolía: 1, triste: 1, tristeza: 1, pena: 0.8, dolor: 0.7, duelo: 1, llorar: 0.7,
+        lágrimas: 0.7, nostalgia: 0.6, añoranza: 0.7, extrañar: 0.5, pérdida: 0.6, lamentar: 0.7
+      },
+      fear: {
+        miedo: 1, temor: 1, asustado: 1, asustada: 1, ansiedad: 0.9, ansioso: 0.9, ansiosa: 0.9,
+        preocupado: 0.8, preocupada: 0.8, preocupación: 0.8, nervioso: 0.7, nerviosa: 0.7, pánico: 1, terror: 1
+      },
+      anger: {
+        enojo: 1, enfado: 1, enojado: 1, enfadado: 1, furia: 1, rabia: 1, ira: 1,
+        molesto: 0.7, irritado: 0.7, frustrado: 0.8, frustración: 0.8, resentimiento: 0.9, odio: 0.9
+      },
+      calm: {
+        calma: 1, paz: 1, tranquilo: 1, tranquila: 1, tranquilidad: 1, sereno: 1, serena: 1,
+        serenidad: 1, quietud: 0.7, alivio: 0.7, aliviado: 0.8, descanso: 0.4, sosiego: 1
+      },
+      hope: {
+        esperanza: 1, esperanzado: 1, esperanzada: 1, optimista: 0.9, optimismo: 0.9,
+        confianza: 0.5, fe: 0.6, ilusión: 0.7
+      },
+      loneliness: {
+        soledad: 1, solo: 0.6, sola: 0.6, aislado: 0.9, aislada: 0.9, aislamiento: 0.9,
+        abandonado: 0.9, abandonada: 0.9, vacío: 0.6
+      },
+      love: {
+        amor: 1, amar: 1, querer: 0.6, cariño: 0.9, ternura: 0.8, adorar: 1, afecto: 0.9,
+        calidez: 0.5, devoción: 0.8
+      },
+      confusion: {
+        confusión: 1, confundido: 1, confundida: 1, perdido: 0.6, perdida: 0.6, incertidumbre: 0.7,
+        inseguro: 0.7, insegura: 0.7, duda: 0.6, desconcertado: 0.9, abrumado: 0.6, abrumada: 0.6
+      }
+    },
+    negations: ['no', 'nunca', 'jamás', 'tampoco', 'ni', 'sin', 'nada', 'nadie', 'apenas'],
+    intensifiers: {
+      muy: 1.5, tan: 1.3, tanto: 1.3, realmente: 1.3, profundamente: 1.6, sumamente: 1.8,
+      extremadamente: 1.8, increíblemente: 1.7, totalmente: 1.5, completamente: 1.5, bastante: 1.2,
+      más: 1.2, algo: 0.6, poco: 0.6, levemente: 0.5, ligeramente: 0.5, menos: 0.7
+    },
+    clauseBreaks: ['pero', 'aunque', 'sino', 'embargo']
+  }
+};
+
+// How many words after a negation it still applies to
+const NEGATION_SCOPE = 3;
+
+// Punctuation that ends a clause, and with it any negation or intensifier
+const CLAUSE_PATTERN = /[.!?;:,\n()]+/;
+
+// Contractions carry their own negation: "don't", "isn't", "can't"
+const CONTRACTED_NEGATION = /n't$/;
+
+// Compiles the bundled lexicon, plus any extensions, into stem lookups.
+// Extensions use the same shape and may add languages, emotions or words, or
+// drop a bundled word by giving it weight 0:
+//   { en: { emotions: { awe: { awestruck: 1 }, love: { care: 0 } }, intensifiers: { super: 1.5 } } }
+class EmotionLexicon {
+  constructor(extensions = {}) {
+    this.languages = new Map();
+    this.emotions = new Set();
+
+    const sources = [EMOTION_LEXICON, extensions];
+    const languages = new Set(sources.flatMap(source => Object.keys(source || {})));
+    for (const language of languages) {
+      this.languages.set(language, this.compile(language, sources.map(source => source?.[language]).filter(Boolean)));
+    }
+  }
+
+  compile(language, parts) {
+    const compiled = { terms: new Map(), negations: new Set(), intensifiers: new Map(), clauseBreaks: new Set() };
+
+    for (const part of parts) {
+      for (const [emotion, words] of Object.entries(part.emotions || {})) {
+        for (const [word, weight] of Object.entries(words)) {
+          if (typeof weight !== 'number') continue;
+
+          // A later source replaces an earlier weight for the same word; 0 removes it
+          const key = stem(word.toLowerCase(), language);
+          const entries = (compiled.terms.get(key) || []).filter(entry => entry.emotion !== emotion);
+          if (weight > 0) {
+            entries.push({ emotion, weight });
+            this.emotions.add(emotion);
+          }
+          compiled.terms.set(key, entries);
+        }
+      }
+      (part.negations || []).forEach(word => compiled.negations.add(word.toLowerCase()));
+      (part.clauseBreaks || []).forEach(word => compiled.clauseBreaks.add(word.toLowerCase()));
+      for (const [word, factor] of Object.entries(part.intensifiers || {})) {
+        compiled.intensifiers.set(word.toLowerCase(), factor);
+      }
+    }
+
+    return compiled;
+  }
+
+  // Languages to read a text in: its own, or every bundled one when unknown
+  languagesFor(language) {
+    if (this.languages.has(language)) return [language];
+    return SUPPORTED_LANGUAGES.filter(known => this.languages.has(known));
+  }
+
+  // Emotions expressed in a text:
+  //   Map emotion -> { score, hits, negated, words }
+  // score sums the weights of the words found, scaled by intensifiers;
+  // negated counts emotion words that a negation switched off. A text in an
+  // undetermined language is read in each language and the stronger reading
+  // of every emotion kept, so shared words are not counted twice.
+  analyze(text, language) {
+    const found = new Map();
+
+    for (const code of this.languagesFor(language)) {
+      for (const [emotion, match] of this.analyzeIn(text, code)) {
+        if (!found.has(emotion) || found.get(emotion).score < match.score) {
+          found.set(emotion, match);
+        }
+      }
+    }
+
+    return found;
+  }
+
+  analyzeIn(text, language) {
+    const lexicon = this.languages.get(language);
+    const found = new Map();
+
+    for (const clause of text.split(CLAUSE_PATTERN)) {
+      let negatedUntil = -1;
+      let intensity = 1;
+
+      tokenize(clause).forEach((token, index) => {
+        if (lexicon.clauseBreaks.has(token)) {
+          negatedUntil = -1;
+          intensity = 1;
+          return;
+        }
+        if (lexicon.negations.has(token) || (language === 'en' && CONTRACTED_NEGATION.test(token))) {
+          negatedUntil = index + NEGATION_SCOPE;
+          return;
+        }
+        if (lexicon.intensifiers.has(token)) {
+          intensity *= lexicon.intensifiers.get(token);
+          return;
+        }
+
+        const entries = lexicon.terms.get(stem(token, language));
+        if (!entries?.length) {
+          // Intensifiers reach only the word right after them
+          intensity = 1;
+          return;
+        }
+
+        for (const { emotion, weight } of entries) {
+          const match = found.get(emotion) || { score: 0, hits: 0, negated: 0, words: new Set() };
+          if (index <= negatedUntil) {
+            match.negated++;
+          } else {
+            match.score += weight * intensity;
+            match.hits++;
+            match.words.add(token);
+          }
+          found.set(emotion, match);
+        }
+        intensity = 1;
+      });
+    }
+
+    return found;
+  }
+}
+
+export { EMOTION_LEXICON, NEGATION_SCOPE, EmotionLexicon };
@@ -0,0 +1,35 @@
+// Helpers the Markdown and HTML journals share
+
+function anchor(id) {
+  return `r-${id}`;
+}
+
+function excerpt(text, length = 80) {
+  const line = (text || '').replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+// Reads ISO timestamps as { day: 'YYYY-MM-DD', time: 'HH:MM' } on the clock
+// of an IANA time zone, the system's when none is given
+function localClock(timeZone = null) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  return timestamp => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(timestamp)).map(({ type, value }) => [type, value]));
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+  };
+}
+
+export { anchor, excerpt, percent, localClock };
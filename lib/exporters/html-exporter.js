@@ -0,0 +1,99 @@
+// A standalone static page: no scripts, no external assets. The timeline runs
+// down the page by day and every mirror links to the entry it echoes.
+
+import { anchor, excerpt, localClock, percent } from './formatting.js';
+
+const STYLE = `
+  body { font-family: Georgia, serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #222; background: #fbfaf7; }
+  header p { color: #666; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: .25rem; margin-top: 2.5rem; }
+  article { border-left: 3px solid #9bb7d4; padding: .25rem 0 .25rem 1rem; margin: 1.5rem 0; }
+  article:target { background: #eef4fa; }
+  article.abyss { border-color: #34495e; }
+  article.surface { border-color: #cfdfee; }
+  blockquote { margin: .5rem 0; font-size: 1.1rem; white-space: pre-wrap; }
+  .meta, .details { color: #666; font-size: .85rem; }
+  .resonance { display: inline-block; height: .4rem; background: #9bb7d4; vertical-align: middle; }
+  h3 { font-size: .8rem; text-transform: uppercase; letter-spacing: .05em; color: #888; margin: .75rem 0 .25rem; }
+  ul { margin: 0; padding-left: 1.2rem; }
+  .outside { color: #999; }
+`;
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderMirror(mirror) {
+  const label = escapeHtml(excerpt(mirror.thought, 90) || mirror.id);
+  const scores = `similarity ${percent(mirror.similarity)}, keywords ${percent(mirror.keywordMatch)}`;
+  return mirror.exported
+    ? `<li><a href="#${anchor(mirror.id)}">${label}</a> <span class="meta">${scores}</span></li>`
+    : `<li><span class="outside">${label} (not in this export)</span> <span class="meta">${scores}</span></li>`;
+}
+
+function renderEntry(entry, clock) {
+  const details = [
+    ...entry.tags.map(tag => `#${escapeHtml(tag)}`),
+    entry.mood && `mood: ${escapeHtml(entry.mood)}`,
+    entry.source && `source: ${escapeHtml(entry.source)}`,
+    entry.visits > 1 && `${entry.visits} visits`
+  ].filter(Boolean);
+
+  return `
+    <article id="${anchor(entry.id)}" class="${escapeHtml(entry.depth)}">
+      <div class="meta">
+        <time datetime="${escapeHtml(entry.createdAt)}">${clock(entry.createdAt).time}</time>
+        · ${escapeHtml(entry.depth)}
+        · resonance ${entry.resonance.toFixed(2)}
+        <span class="resonance" style="width: ${Math.round(entry.resonance * 4 * 10) / 10}rem"></span>
+      </div>
+      <blockquote>${escapeHtml(entry.thought)}</blockquote>
+      ${details.length > 0 ? `<div class="details">${details.join(' · ')}</div>` : ''}
+      ${entry.context ? `<div class="details"><em>${escapeHtml(entry.context)}</em></div>` : ''}
+      ${entry.mirrors.length > 0 ? `<h3>Mirrors</h3>
+      <ul>${entry.mirrors.map(renderMirror).join('')}</ul>` : ''}
+      <h3>Questions</h3>
+      <ul>${entry.questions.map(question => `<li>${escapeHtml(question)}</li>`).join('')}</ul>
+    </article>`;
+}
+
+function renderHtml(entries, { exportedAt, timeZone = null }) {
+  const clock = localClock(timeZone);
+  const days = [];
+  for (const entry of entries) {
+    const { day } = clock(entry.createdAt);
+    if (days.length === 0 || days[days.length - 1].day !== day) days.push({ day, entries: [] });
+    days[days.length - 1].entries.push(entry);
+  }
+
+  const timeline = days.map(({ day, entries: dayEntries }) => `
+  <section>
+    <h2 id="day-${day}">${day}</h2>${dayEntries.map(entry => renderEntry(entry, clock)).join('')}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>MirrorPool Journal</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <header>
+    <h1>MirrorPool Journal</h1>
+    <p>${entries.length} reflections, exported <time datetime="${exportedAt}">${clock(exportedAt).day}</time></p>
+  </header>
+  <main>${timeline}
+  </main>
+</body>
+</html>
+`;
+}
+
+export { renderHtml, escapeHtml };
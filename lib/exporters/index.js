@@ -0,0 +1,63 @@
+import { renderMarkdown } from './markdown-exporter.js';
+import { renderHtml } from './html-exporter.js';
+import { renderJsonLd } from './jsonld-exporter.js';
+import { resolveTimeZone } from '../time-zone.js';
+
+// Every renderer takes the export entries and { exportedAt, timeZone } and
+// returns the document as a string. Journals are dated on the clock of
+// timeZone, the system's when none is given.
+const EXPORT_FORMATS = {
+  markdown: { render: renderMarkdown, extension: '.md' },
+  html: { render: renderHtml, extension: '.html' },
+  jsonld: { render: renderJsonLd, extension: '.jsonld' }
+};
+
+// One self-contained entry per reflection, oldest first by when it was
+// first written. Mirrors that point outside the exported subset keep their
+// text but are marked as such.
+function buildExportEntries(engine, filters = {}) {
+  const reflections = engine.queryReflections(filters)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const exported = new Set(reflections.map(reflection => reflection.id));
+
+  return reflections.map(reflection => ({
+    id: reflection.id,
+    thought: reflection.original,
+    timestamp: reflection.timestamp,
+    createdAt: reflection.createdAt,
+    depth: reflection.depth,
+    resonance: reflection.resonance,
+    tags: reflection.tags || [],
+    mood: reflection.mood ?? null,
+    source: reflection.source ?? null,
+    context: reflection.context ?? null,
+    visits: reflection.revisions.length,
+    mirrors: reflection.mirrors.map(mirror => ({
+      id: mirror.id,
+      thought: engine.reflections.get(mirror.id)?.original ?? mirror.original ?? null,
+      similarity: mirror.similarity || 0,
+      keywordMatch: mirror.keywordMatch || 0,
+      exported: exported.has(mirror.id)
+    })),
+    questions: engine.generateDeeperQuestions(reflection.original, reflection.depth)
+  }));
+}
+
+function exportReflections(engine, format, filters = {}, { timeZone = null } = {}) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const zone = resolveTimeZone(timeZone);
+
+  const entries = buildExportEntries(engine, filters);
+  return {
+    format,
+    extension: exporter.extension,
+    count: entries.length,
+    content: exporter.render(entries, { exportedAt: new Date().toISOString(), timeZone: zone })
+  };
+}
+
+export { EXPORT_FORMATS, buildExportEntries, exportReflections };
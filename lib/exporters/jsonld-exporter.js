@@ -0,0 +1,56 @@
+// JSON-LD using schema.org where it has a matching term; MirrorPool's own
+// measures (depth, resonance, mirrors) live under the mp: prefix.
+
+const CONTEXT = {
+  '@vocab': 'https://schema.org/',
+  mp: 'urn:mirrorpool:vocab:',
+  depth: 'mp:depth',
+  resonance: 'mp:resonance',
+  visits: 'mp:visits',
+  mood: 'mp:mood',
+  reflectionSource: 'mp:source',
+  mirrors: { '@id': 'mp:mirrors', '@container': '@set' },
+  reflection: { '@id': 'mp:reflection', '@type': '@id' },
+  similarity: 'mp:similarity',
+  keywordMatch: 'mp:keywordMatch',
+  questions: { '@id': 'mp:questions', '@container': '@list' }
+};
+
+function reflectionIri(id) {
+  return `urn:mirrorpool:reflection:${id}`;
+}
+
+function renderJsonLd(entries, { exportedAt }) {
+  const graph = entries.map(entry => {
+    const node = {
+      '@id': reflectionIri(entry.id),
+      '@type': 'CreativeWork',
+      text: entry.thought,
+      dateCreated: entry.createdAt,
+      dateModified: entry.timestamp,
+      keywords: entry.tags,
+      depth: entry.depth,
+      resonance: entry.resonance,
+      visits: entry.visits,
+      mirrors: entry.mirrors.map(mirror => ({
+        '@type': 'mp:Mirror',
+        reflection: reflectionIri(mirror.id),
+        similarity: mirror.similarity,
+        keywordMatch: mirror.keywordMatch
+      })),
+      questions: entry.questions
+    };
+    if (entry.mood) node.mood = entry.mood;
+    if (entry.source) node.reflectionSource = entry.source;
+    if (entry.context) node.description = entry.context;
+    return node;
+  });
+
+  return JSON.stringify({
+    '@context': CONTEXT,
+    '@id': `urn:mirrorpool:export:${exportedAt}`,
+    '@graph': graph
+  }, null, 2);
+}
+
+export { renderJsonLd };
@@ -0,0 +1,60 @@
+// A dated Markdown journal: one section per day, one entry per reflection.
+// Mirrors link to their entry's anchor when it is part of the export.
+
+import { anchor, excerpt, localClock, percent } from './formatting.js';
+
+function renderEntry(entry, clock) {
+  const { time } = clock(entry.createdAt);
+  const lines = [
+    `<a id="${anchor(entry.id)}"></a>`,
+    `### ${time} · ${entry.depth} · resonance ${entry.resonance.toFixed(2)}`,
+    '',
+    ...entry.thought.split(/\r?\n/).map(line => `> ${line}`),
+    ''
+  ];
+
+  const details = [];
+  if (entry.tags.length > 0) details.push(`Tags: ${entry.tags.map(tag => `#${tag}`).join(' ')}`);
+  if (entry.mood) details.push(`Mood: ${entry.mood}`);
+  if (entry.source) details.push(`Source: ${entry.source}`);
+  if (entry.visits > 1) details.push(`Visits: ${entry.visits}`);
+  if (details.length > 0) lines.push(details.join(' · '), '');
+  if (entry.context) lines.push(`_${entry.context}_`, '');
+
+  if (entry.mirrors.length > 0) {
+    lines.push('**Mirrors**', '');
+    for (const mirror of entry.mirrors) {
+      const label = excerpt(mirror.thought) || mirror.id;
+      const link = mirror.exported ? `[${label}](#${anchor(mirror.id)})` : `${label} _(not in this export)_`;
+      lines.push(`- ${link} (similarity ${percent(mirror.similarity)}, keywords ${percent(mirror.keywordMatch)})`);
+    }
+    lines.push('');
+  }
+
+  lines.push('**Questions**', '', ...entry.questions.map(question => `- ${question}`), '');
+  return lines.join('\n');
+}
+
+function renderMarkdown(entries, { exportedAt, timeZone = null }) {
+  const clock = localClock(timeZone);
+  const sections = [
+    '# MirrorPool Journal',
+    '',
+    `_${entries.length} reflections, exported ${clock(exportedAt).day}_`,
+    ''
+  ];
+
+  let day = null;
+  for (const entry of entries) {
+    const entryDay = clock(entry.createdAt).day;
+    if (entryDay !== day) {
+      day = entryDay;
+      sections.push(`## ${day}`, '');
+    }
+    sections.push(renderEntry(entry, clock));
+  }
+
+  return sections.join('\n');
+}
+
+export { renderMarkdown };
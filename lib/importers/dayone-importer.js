@@ -0,0 +1,76 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { join, extname } from 'path';
+
+// Day One escapes Markdown punctuation in its exports ("Hello\.")
+const ESCAPED = /\\([\\`*_{}[\]()#+\-.!>~|])/g;
+const MOMENT = /!\[[^\]]*\]\(dayone-moment:\/\/[^)]*\)/g;
+
+// Reads a Day One JSON export: either Journal.json itself or the unzipped
+// export folder holding one JSON file per journal
+class DayOneImporter {
+  constructor(inputPath) {
+    this.format = 'dayone';
+    this.inputPath = inputPath;
+  }
+
+  async read() {
+    const result = { entries: [], skipped: [] };
+
+    for (const file of await this.listFiles()) {
+      let data;
+      try {
+        data = JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        result.skipped.push({ source: file, reason: error.message });
+        continue;
+      }
+
+      if (!Array.isArray(data?.entries)) {
+        result.skipped.push({ source: file, reason: 'not a Day One export (no entries array)' });
+        continue;
+      }
+
+      data.entries.forEach((raw, index) => {
+        const source = `${file}#${raw?.uuid || index}`;
+        const entry = this.readEntry(raw, source);
+        if (entry.reason) {
+          result.skipped.push({ source, reason: entry.reason });
+        } else {
+          result.entries.push(entry);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  async listFiles() {
+    if (!(await stat(this.inputPath)).isDirectory()) return [this.inputPath];
+
+    return (await readdir(this.inputPath))
+      .filter(file => extname(file).toLowerCase() === '.json')
+      .sort()
+      .map(file => join(this.inputPath, file));
+  }
+
+  readEntry(raw, source) {
+    if (!raw || typeof raw.text !== 'string') return { reason: 'entry has no text' };
+    if (Number.isNaN(Date.parse(raw.creationDate))) return { reason: 'entry has no valid creationDate' };
+
+    const text = raw.text.replace(MOMENT, '').replace(ESCAPED, '$1').trim();
+    if (text.length === 0) return { reason: 'entry only holds media' };
+
+    return {
+      source,
+      title: null,
+      text,
+      timestamp: new Date(raw.creationDate).toISOString(),
+      tags: Array.isArray(raw.tags) ? raw.tags : [],
+      mood: undefined,
+      depth: undefined,
+      links: []
+    };
+  }
+}
+
+export { DayOneImporter };
@@ -0,0 +1,111 @@
+import { basename } from 'path';
+import { MarkdownImporter } from './markdown-importer.js';
+import { DayOneImporter } from './dayone-importer.js';
+import { REFLECTION_DEPTHS } from '../reflection-schema.js';
+
+// Every importer implements read() -> { entries, skipped }. An entry is
+//   { source, title, text, timestamp, tags, mood, depth, links }
+// where links are the titles of other entries it points to.
+const IMPORT_FORMATS = {
+  markdown: MarkdownImporter,
+  dayone: DayOneImporter
+};
+
+function createImporter(format, inputPath) {
+  const Importer = IMPORT_FORMATS[format];
+  if (!Importer) {
+    throw new Error(`Unknown import format: ${format} (expected ${Object.keys(IMPORT_FORMATS).join(', ')})`);
+  }
+  return new Importer(inputPath);
+}
+
+// Obsidian links may carry a folder path: [[Journal/2021/Morning]]
+function linkKey(title) {
+  return basename(title).toLowerCase();
+}
+
+// Turn importer entries into reflections, oldest first so each one echoes
+// what came before it. Entries are deduplicated by content hash against the
+// archive and each other. A dry run reports the same plan without writing.
+async function importJournal(engine, importer, { dryRun = false, depth = 'deep', source = 'journal' } = {}) {
+  if (!REFLECTION_DEPTHS.includes(depth)) {
+    throw new Error(`Unknown depth: ${depth} (expected ${REFLECTION_DEPTHS.join(', ')})`);
+  }
+
+  const { entries, skipped } = await importer.read();
+
+  // The journal is read before the archive is locked; a dry run only needs
+  // the latest state, not the lock
+  if (dryRun) await engine.refresh();
+  const run = dryRun ? plan => plan() : plan => engine.withArchiveLock(plan);
+
+  return run(async () => {
+    const report = {
+      format: importer.format,
+      dryRun,
+      imported: [],
+      skipped: [...skipped],
+      links: 0,
+      unresolvedLinks: []
+    };
+
+    const accepted = [];
+    const idsBySource = new Map();
+    const idsByTitle = new Map();
+
+    entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    for (const entry of entries) {
+      const id = engine.generateHash(entry.text);
+      if (entry.title) idsByTitle.set(linkKey(entry.title), id);
+
+      if (engine.reflections.has(id)) {
+        report.skipped.push({ source: entry.source, reason: `already in the archive as ${id}` });
+      } else if (idsBySource.has(id)) {
+        report.skipped.push({ source: entry.source, reason: `duplicate of ${idsBySource.get(id)}` });
+      } else {
+        idsBySource.set(id, entry.source);
+        accepted.push({ entry, id });
+      }
+    }
+
+    const reflections = [];
+    for (const { entry, id } of accepted) {
+      report.imported.push({ id, source: entry.source, timestamp: entry.timestamp });
+      if (dryRun) continue;
+
+      const reflection = await engine.recordReflection(
+        entry.text,
+        REFLECTION_DEPTHS.includes(entry.depth) ? entry.depth : depth,
+        true,
+        { tags: entry.tags, mood: entry.mood, source },
+        entry.timestamp
+      );
+      reflection.importedFrom = { format: importer.format, source: entry.source };
+      reflections.push(reflection);
+    }
+
+    // Wikilinks become connections once every linked note exists
+    for (const { entry, id } of accepted) {
+      for (const link of entry.links) {
+        const targetId = idsByTitle.get(linkKey(link));
+        if (!targetId) {
+          report.unresolvedLinks.push({ source: entry.source, link });
+          continue;
+        }
+        if (targetId === id) continue;
+
+        report.links++;
+        if (!dryRun && engine.reflections.has(targetId)) engine.linkReflections(id, targetId);
+      }
+    }
+
+    if (!dryRun) {
+      await engine.storage.putReflections(reflections);
+      await engine.saveConnections();
+    }
+
+    return report;
+  });
+}
+
+export { IMPORT_FORMATS, createImporter, importJournal };
@@ -0,0 +1,155 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { join, relative, basename, extname } from 'path';
+
+const DATE_KEYS = ['date', 'created', 'created_at', 'creation_date', 'timestamp'];
+const FILENAME_DATE = /(\d{4}-\d{2}-\d{2})(?:[ T_](\d{2})[:.-]?(\d{2}))?/;
+const WIKILINK = /(!?)\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]+))?\]\]/g;
+const INLINE_TAG = /(?:^|\s)#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu;
+
+// Just enough YAML for journal front matter: scalars, [inline, lists]
+// and "- item" block lists
+function parseFrontMatter(block) {
+  const data = {};
+  let listKey = null;
+
+  for (const line of block.split(/\r?\n/)) {
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) continue;
+
+    const [, key, rawValue] = pair;
+    const value = rawValue.trim();
+    listKey = null;
+
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+    } else {
+      data[key] = unquote(value);
+    }
+  }
+
+  return data;
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function splitFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { frontMatter: {}, body: content };
+  return { frontMatter: parseFrontMatter(match[1]), body: content.slice(match[0].length) };
+}
+
+function listValue(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.length > 0) return value.split(/[,\s]+/).filter(Boolean);
+  return [];
+}
+
+// Reads a folder of Markdown notes, including an Obsidian vault.
+// Front matter supplies dates, tags, mood and depth; [[wikilinks]] are kept
+// as link targets so the importer can turn them into connections.
+class MarkdownImporter {
+  constructor(inputPath) {
+    this.format = 'markdown';
+    this.inputPath = inputPath;
+  }
+
+  async read() {
+    const result = { entries: [], skipped: [] };
+
+    for (const file of await this.listFiles(this.inputPath)) {
+      const source = relative(this.inputPath, file);
+      try {
+        const entry = await this.readNote(file, source);
+        if (entry.text.trim().length === 0) {
+          result.skipped.push({ source, reason: 'empty note' });
+        } else {
+          result.entries.push(entry);
+        }
+      } catch (error) {
+        result.skipped.push({ source, reason: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  // Markdown files, recursively; hidden folders such as .obsidian and .trash are ignored
+  async listFiles(directory) {
+    const files = [];
+    for (const dirent of await readdir(directory, { withFileTypes: true })) {
+      if (dirent.name.startsWith('.')) continue;
+
+      const path = join(directory, dirent.name);
+      if (dirent.isDirectory()) {
+        files.push(...await this.listFiles(path));
+      } else if (extname(dirent.name).toLowerCase() === '.md') {
+        files.push(path);
+      }
+    }
+    return files.sort();
+  }
+
+  async readNote(file, source) {
+    const content = await readFile(file, 'utf8');
+    const { frontMatter, body } = splitFrontMatter(content);
+    // An empty or list-valued title: key names nothing; the file name does
+    const title = typeof frontMatter.title === 'string' && frontMatter.title.trim()
+      ? frontMatter.title.trim()
+      : basename(file, extname(file));
+
+    const links = [];
+    const text = body.replace(WIKILINK, (match, embed, target, alias) => {
+      if (embed) return '';
+      links.push(target.trim());
+      return alias || target;
+    }).trim();
+
+    const tags = new Set([...listValue(frontMatter.tags), ...listValue(frontMatter.tag)]);
+    for (const [, tag] of text.matchAll(INLINE_TAG)) tags.add(tag);
+
+    return {
+      source,
+      title,
+      text,
+      timestamp: await this.resolveTimestamp(file, frontMatter),
+      tags: [...tags].map(tag => tag.replace(/^#/, '')),
+      mood: typeof frontMatter.mood === 'string' ? frontMatter.mood : undefined,
+      depth: typeof frontMatter.depth === 'string' ? frontMatter.depth : undefined,
+      links
+    };
+  }
+
+  // Front matter date, then a date in the file name (daily notes), then the file's mtime
+  async resolveTimestamp(file, frontMatter) {
+    for (const key of DATE_KEYS) {
+      const value = frontMatter[key];
+      if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) {
+        return new Date(value).toISOString();
+      }
+    }
+
+    const named = basename(file).match(FILENAME_DATE);
+    if (named) {
+      const [, day, hours = '00', minutes = '00'] = named;
+      const date = new Date(`${day}T${hours}:${minutes}:00`);
+      if (!Number.isNaN(date.getTime())) return date.toISOString();
+    }
+
+    return (await stat(file)).mtime.toISOString();
+  }
+}
+
+export { MarkdownImporter, parseFrontMatter };
@@ -0,0 +1,145 @@
+// Language detection, stop words and light stemmers for the languages
+// MirrorPool journals are written in. Detection is deliberately simple:
+// it counts stop words from each language plus a few orthographic hints.
+
+const SUPPORTED_LANGUAGES = ['en', 'es'];
+const UNDETERMINED = 'und';
+
+const STOP_WORDS = {
+  en: new Set([
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any',
+    'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both',
+    'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even',
+    'ever', 'every', 'few', 'for', 'from', 'further', 'get', 'gets', 'got', 'had', 'has', 'have',
+    'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', "i'm",
+    "i've", "i'd", "i'll", 'if', 'in', 'into', 'is', 'it', "it's", 'its', 'itself', 'just', 'like',
+    'me', 'might', 'more', 'most', 'much', 'must', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of',
+    'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+    'really', 'same', 'she', 'should', 'so', 'some', 'still', 'such', 'than', 'that', "that's",
+    'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'thing',
+    'things', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'upon', 'us',
+    'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why',
+    'will', 'with', 'within', 'without', 'would', 'yet', 'you', 'your', 'yours', 'yourself'
+  ]),
+  es: new Set([
+    'a', 'al', 'algo', 'algunas', 'algunos', 'ante', 'antes', 'aquí', 'así', 'aun', 'aún',
+    'bajo', 'bien', 'cada', 'casi', 'como', 'cómo', 'con', 'contra', 'cual', 'cuál', 'cuando',
+    'cuándo', 'de', 'del', 'desde', 'donde', 'dónde', 'durante', 'e', 'el', 'él', 'ella', 'ellas',
+    'ellos', 'en', 'entre', 'era', 'eran', 'eres', 'es', 'esa', 'esas', 'ese', 'eso', 'esos',
+    'esta', 'está', 'estaba', 'estado', 'estamos', 'están', 'estar', 'estas', 'este', 'esto',
+    'estos', 'estoy', 'fue', 'fueron', 'ha', 'había', 'hace', 'hacia', 'han', 'hasta', 'hay',
+    'he', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'más', 'me', 'mi', 'mí', 'mis', 'mucho',
+    'muy', 'nada', 'ni', 'no', 'nos', 'nosotros', 'o', 'otra', 'otras', 'otro', 'otros', 'para',
+    'pero', 'poco', 'por', 'porque', 'qué', 'que', 'quien', 'quién', 'se', 'sea', 'ser', 'si',
+    'sí', 'sido', 'sin', 'sobre', 'soy', 'su', 'sus', 'también', 'tan', 'tanto', 'te', 'tengo',
+    'ti', 'tiene', 'todo', 'todos', 'tu', 'tú', 'tus', 'un', 'una', 'uno', 'unos', 'unas', 'vez',
+    'y', 'ya', 'yo'
+  ])
+};
+
+const SPANISH_HINT = /[ñáéíóú¿¡]/i;
+
+function foldAccents(word) {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function detectLanguage(tokens) {
+  const scores = { en: 0, es: 0 };
+
+  for (const token of tokens) {
+    for (const language of SUPPORTED_LANGUAGES) {
+      if (STOP_WORDS[language].has(token)) scores[language]++;
+    }
+    if (SPANISH_HINT.test(token)) scores.es += 0.5;
+  }
+
+  if (scores.en === scores.es) return UNDETERMINED;
+  return scores.en > scores.es ? 'en' : 'es';
+}
+
+function isStopWord(token, language) {
+  if (STOP_WORDS[language]) return STOP_WORDS[language].has(token);
+  // Undetermined text: anything that is a stop word in a known language
+  return SUPPORTED_LANGUAGES.some(known => STOP_WORDS[known].has(token));
+}
+
+// Suffix rules are tried in order; the first that matches and leaves
+// a long enough stem wins
+const ENGLISH_SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+  ['ousness', 'ous'], ['ingly', ''], ['edly', ''], ['ities', ''], ['ity', ''],
+  ['ies', 'y'], ['ied', 'y'], ['ness', ''], ['ment', ''], ['ing', ''], ['ed', ''],
+  ['ly', ''], ['sses', 'ss'], ['ches', 'ch'], ['shes', 'sh'], ['xes', 'x']
+];
+
+function stemEnglish(word) {
+  if (word.length <= 3) return word;
+
+  let stem = word.replace(/'s$/, '');
+  for (const [suffix, replacement] of ENGLISH_SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      stem = stem.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  // Plural s, but not "ss", "us" or "is"
+  if (stem.length > 3 && /[^sui]s$/.test(stem)) stem = stem.slice(0, -1);
+  // Undo doubled consonants left by -ing/-ed ("hopping" -> "hop")
+  if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+  // Silent final e ("create" and "creating" share "creat")
+  if (stem.length > 4 && stem.endsWith('e')) stem = stem.slice(0, -1);
+
+  return stem;
+}
+
+const SPANISH_SUFFIXES = [
+  'amientos', 'imientos', 'amiento', 'imiento', 'aciones', 'uciones', 'adoras', 'adores',
+  'ancias', 'encias', 'mente', 'acion', 'ucion', 'adora', 'ador', 'ancia', 'encia', 'idades',
+  'idad', 'ismos', 'ismo', 'istas', 'ista', 'ables', 'ibles', 'able', 'ible', 'iendo', 'ando',
+  'ados', 'adas', 'idos', 'idas', 'ado', 'ada', 'ido', 'ida', 'amos', 'emos', 'imos', 'aba',
+  'ar', 'er', 'ir'
+];
+
+function stemSpanish(word) {
+  let stem = foldAccents(word);
+  if (stem.length <= 3) return stem;
+
+  // Plurals
+  if (stem.endsWith('ces') && stem.length > 5) stem = stem.slice(0, -3) + 'z';
+  else if (/[^aeiou]es$/.test(stem) && stem.length > 5) stem = stem.slice(0, -2);
+  else if (stem.endsWith('s') && stem.length > 4) stem = stem.slice(0, -1);
+
+  for (const suffix of SPANISH_SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // Final gender/theme vowel
+  if (stem.length > 4 && /[aeo]$/.test(stem)) stem = stem.slice(0, -1);
+
+  return stem;
+}
+
+function stem(word, language) {
+  switch (language) {
+    case 'en':
+      return stemEnglish(word);
+    case 'es':
+      return stemSpanish(word);
+    default:
+      return foldAccents(word);
+  }
+}
+
+export {
+  SUPPORTED_LANGUAGES,
+  UNDETERMINED,
+  STOP_WORDS,
+  detectLanguage,
+  isStopWord,
+  foldAccents,
+  stem
+};
@@ -1,14 +1,83 @@
 import { EventEmitter } from 'events';
+import { EmotionLexicon } from './emotion-lexicon.js';
+import { ConceptMiner } from './concept-miner.js';
+import { tokenize } from './text-analysis.js';
+import { TRAJECTORY_DEFAULTS, bucketSeries, describeTrend } from './trend.js';
+import { resolveTimeZone } from './time-zone.js';
+
+// Patterns at or below this strength are left out unless a caller asks otherwise
+const PATTERN_THRESHOLD = 0.3;
+
+// Where each reflection depth sits on the 0-1 scale of DepthAnalyzer's levels
+const DEPTH_VALUES = { surface: 0.15, deep: 0.5, abyss: 0.85 };
+
+// How many stretches of time a concept's spread is measured over
+const SPREAD_PERIODS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tool calls further apart than this belong to different sittings
+const SESSION_GAP = 30 * 60 * 1000;
+
+// Parts of the day, by local hour
+const PARTS_OF_DAY = [
+  { name: 'night', from: 0, to: 6 },
+  { name: 'morning', from: 6, to: 12 },
+  { name: 'afternoon', from: 12, to: 18 },
+  { name: 'evening', from: 18, to: 24 }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// minStreak    consecutive days that make a streak
+// longGap      days without a reflection that make a long silence
+// burstFactor  how many times the typical day's reflections make a burst
+// minCycles    returns a concept needs before it can be called periodic
+const TEMPORAL_DEFAULTS = { minStreak: 3, longGap: 7, burstFactor: 2, minCycles: 3 };
+
+// Reflection lengths, by word count
+const LENGTH_BANDS = [
+  { name: 'brief reflections', maxWords: 30 },
+  { name: 'paragraph-length reflections', maxWords: 120 },
+  { name: 'long-form reflections', maxWords: Infinity }
+];
 
 class PatternDetector extends EventEmitter {
-  constructor() {
+  constructor(engine = null, options = {}) {
     super();
+    this.engine = engine;
     this.patterns = new Map();
     this.undercurrents = [];
-    this.patternThreshold = 0.3;
+    this.emotionLexicon = new EmotionLexicon(options.emotionLexicon);
+    this.conceptMiner = new ConceptMiner(options.conceptMining);
+    this.maxConcepts = options.maxConcepts ?? 20;
+    
+    // Temporal patterns read timestamps on this clock; defaults to the system's
+    this.timeZone = resolveTimeZone(options.timeZone);
+    this.clock = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      hourCycle: 'h23',
+      weekday: 'short'
+    });
+    this.temporal = { ...TEMPORAL_DEFAULTS, ...options.temporal };
+    // A cycle is measured between returns, so it takes at least two
+    if (!Number.isInteger(this.temporal.minCycles) || this.temporal.minCycles < 2) {
+      throw new Error(`minCycles must be a whole number of at least 2, got ${this.temporal.minCycles}`);
+    }
+    this.trajectoryOptions = { ...TRAJECTORY_DEFAULTS, ...options.trajectory };
+  }
+
+  // Reflections the analysis runs over, narrowed by tag/source filters
+  scopedReflections(filters = {}) {
+    return this.engine ? this.engine.queryReflections(filters) : [];
   }
 
-  async findUndercurrents(timeframe = 'week', minDepth = 0.5) {
+  async findUndercurrents(timeframe = 'week', minDepth = 0.5, filters = {}) {
     const undercurrents = {
       timeframe: timeframe,
       themes: [],
@@ -26,11 +95,17 @@ class PatternDetector extends EventEmitter {
       all: Infinity
     };
     
-    const windowStart = new Date(now - (timeWindows[timeframe] || timeWindows.week));
+    const windowLength = timeWindows[timeframe] || timeWindows.week;
+    const windowStart = Number.isFinite(windowLength) ? new Date(now - windowLength) : new Date(0);
+    
+    // Patterns come from the reflections in scope when the archive is available
+    const candidates = this.engine
+      ? await this.analyzeScope(['emotional', 'conceptual', 'temporal'], { ...filters, after: windowStart })
+      : [...this.patterns.values()];
     
     // Analyze patterns within timeframe
     const activePatterns = [];
-    for (const [id, pattern] of this.patterns) {
+    for (const pattern of candidates) {
       if (pattern.lastSeen >= windowStart && pattern.depth >= minDepth) {
         activePatterns.push(pattern);
       }
@@ -76,7 +151,7 @@ class PatternDetector extends EventEmitter {
     return undercurrents;
   }
 
-  async discoverPatterns(patternTypes = ['emotional', 'conceptual'], threshold = 0.3) {
+  async discoverPatterns(patternTypes = ['emotional', 'conceptual'], threshold = PATTERN_THRESHOLD, filters = {}) {
     const discoveries = {
       patterns: [],
       emergingPatterns: [],
@@ -84,26 +159,21 @@ class PatternDetector extends EventEmitter {
       insights: []
     };
     
-    this.patternThreshold = threshold;
-    
     // Analyze each pattern type
-    for (const type of patternTypes) {
-      const typePatterns = await this.analyzePatternType(type);
-      discoveries.patterns.push(...typePatterns);
-    }
+    discoveries.patterns.push(...await this.analyzeScope(patternTypes, filters, threshold));
     
     // Sort by strength
     discoveries.patterns.sort((a, b) => b.strength - a.strength);
     
-    // Identify emerging patterns (increasing in strength)
+    // Identify emerging patterns (increasing in strength), surest first
     discoveries.emergingPatterns = discoveries.patterns.filter(p => 
       p.trajectory === 'ascending' && p.strength > threshold
-    );
+    ).sort((a, b) => b.trend.confidence - a.trend.confidence);
     
-    // Identify fading patterns (decreasing in strength)
+    // Identify fading patterns (decreasing in strength), surest first
     discoveries.fadingPatterns = discoveries.patterns.filter(p => 
       p.trajectory === 'descending' && p.strength < threshold * 2
-    );
+    ).sort((a, b) => b.trend.confidence - a.trend.confidence);
     
     // Generate insights
     discoveries.insights = this.generatePatternInsights(discoveries);
@@ -111,92 +181,601 @@ class PatternDetector extends EventEmitter {
     return discoveries;
   }
 
-  async analyzePatternType(type) {
+  async analyzeScope(patternTypes, filters = {}, threshold = PATTERN_THRESHOLD) {
+    const reflections = this.scopedReflections(filters);
+    const patterns = [];
+    
+    for (const type of patternTypes) {
+      patterns.push(...await this.analyzePatternType(type, reflections, filters, threshold));
+    }
+    
+    return patterns;
+  }
+
+  async analyzePatternType(type, reflections = [], filters = {}, threshold = PATTERN_THRESHOLD) {
     const patterns = [];
     
     switch(type) {
       case 'emotional':
-        patterns.push(...this.analyzeEmotionalPatterns());
+        patterns.push(...this.analyzeEmotionalPatterns(reflections, threshold));
         break;
       case 'conceptual':
-        patterns.push(...this.analyzeConceptualPatterns());
+        patterns.push(...this.analyzeConceptualPatterns(reflections, threshold));
         break;
       case 'behavioral':
-        patterns.push(...this.analyzeBehavioralPatterns());
+        patterns.push(...await this.analyzeBehavioralPatterns(reflections, filters, threshold));
         break;
       case 'temporal':
-        patterns.push(...this.analyzeTemporalPatterns());
+        patterns.push(...this.analyzeTemporalPatterns(reflections, threshold));
         break;
     }
     
     return patterns;
   }
 
-  analyzeEmotionalPatterns() {
-    // Analyze emotional patterns in reflections
+  // Every emotion the lexicon finds in the reflections in scope. Strength is
+  // the share of reflections that express it; negated mentions ("not afraid")
+  // are counted separately and never make a reflection express the emotion.
+  analyzeEmotionalPatterns(reflections = [], threshold = PATTERN_THRESHOLD) {
     const emotionalPatterns = [];
+    const found = new Map();
     
-    // Sample patterns (would be more sophisticated in practice)
-    const emotions = ['joy', 'curiosity', 'melancholy', 'wonder', 'gratitude'];
+    for (const reflection of reflections) {
+      for (const [emotion, match] of this.emotionLexicon.analyze(reflection.original, reflection.language)) {
+        if (!found.has(emotion)) found.set(emotion, { expressed: [], mentions: 0, negated: 0, score: 0, words: new Map() });
+        const entry = found.get(emotion);
+        entry.negated += match.negated;
+        if (match.hits === 0) continue;
+        
+        entry.expressed.push(reflection);
+        entry.mentions += match.hits;
+        entry.score += match.score;
+        match.words.forEach(word => entry.words.set(word, (entry.words.get(word) || 0) + 1));
+      }
+    }
     
-    emotions.forEach(emotion => {
+    for (const [emotion, entry] of found) {
+      if (entry.expressed.length === 0) continue;
+      const instances = [...entry.expressed].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      
       const pattern = {
         type: 'emotional',
         name: emotion,
-        strength: Math.random(), // Would calculate from actual data
-        occurrences: Math.floor(Math.random() * 20),
-        trajectory: Math.random() > 0.5 ? 'ascending' : 'descending',
-        lastSeen: new Date(),
-        depth: Math.random(),
-        themes: [emotion]
+        strength: this.round(instances.length / reflections.length),
+        occurrences: instances.length,
+        mentions: entry.mentions,
+        negated: entry.negated,
+        intensity: this.round(entry.score / instances.length),
+        ...this.trajectoryOf(this.timestamps(instances), this.timestamps(reflections)),
+        firstSeen: new Date(instances[0].timestamp),
+        lastSeen: new Date(instances[instances.length - 1].timestamp),
+        depth: this.averageDepth(instances),
+        themes: [emotion],
+        words: [...entry.words.entries()]
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .slice(0, 5)
+          .map(([word]) => word),
+        instances: instances.map(reflection => reflection.id)
       };
       
-      if (pattern.strength > this.patternThreshold) {
+      if (pattern.strength > threshold) {
         emotionalPatterns.push(pattern);
         this.patterns.set(`emotional-${emotion}`, pattern);
       }
-    });
+    }
     
     return emotionalPatterns;
   }
 
-  analyzeConceptualPatterns() {
-    // Analyze conceptual patterns
+  // Trajectory of events over time, with the bucketed series and the
+  // trend's confidence (see trend.js). Given opportunities, such as the
+  // reflections in scope, each bucket holds the share of them taken.
+  trajectoryOf(times, opportunities = null) {
+    const series = bucketSeries(times, opportunities, this.trajectoryOptions.maxBuckets);
+    return describeTrend(series, this.trajectoryOptions);
+  }
+
+  timestamps(reflections) {
+    return reflections.map(reflection => reflection.timestamp);
+  }
+
+  averageDepth(reflections) {
+    const total = reflections.reduce((sum, reflection) => sum + (DEPTH_VALUES[reflection.depth] ?? DEPTH_VALUES.deep), 0);
+    return this.round(total / reflections.length);
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  // Concepts mined from the reflections in scope rather than a fixed list.
+  // Strength blends how widespread a concept is next to the most widespread
+  // one (half), how evenly it spreads over the period in scope (three
+  // tenths) and how deep the reflections using it go (a fifth).
+  analyzeConceptualPatterns(reflections = [], threshold = PATTERN_THRESHOLD) {
     const conceptualPatterns = [];
+    const concepts = this.conceptMiner.mine(reflections);
+    if (concepts.length === 0) return conceptualPatterns;
     
-    // Sample concepts (would extract from actual reflections)
-    const concepts = ['consciousness', 'identity', 'transformation', 'connection', 'emergence'];
+    const byId = new Map(reflections.map(reflection => [reflection.id, reflection]));
+    const widest = concepts[0].reflections.length;
     
-    concepts.forEach(concept => {
+    for (const concept of concepts) {
+      const instances = concept.reflections.map(id => byId.get(id));
+      const recurrence = concept.reflections.length / widest;
+      const spread = this.timeSpread(instances, reflections);
+      const depth = this.averageDepth(instances);
+      
       const pattern = {
         type: 'conceptual',
-        name: concept,
-        strength: Math.random(),
-        occurrences: Math.floor(Math.random() * 15),
-        trajectory: Math.random() > 0.5 ? 'ascending' : 'stable',
-        lastSeen: new Date(),
-        depth: Math.random(),
-        themes: [concept],
-        relatedConcepts: this.findRelatedConcepts(concept)
+        name: concept.name,
+        kind: concept.kind,
+        strength: this.round(0.5 * recurrence + 0.3 * spread + 0.2 * depth),
+        occurrences: instances.length,
+        mentions: concept.mentions,
+        recurrence: this.round(recurrence),
+        spread: this.round(spread),
+        ...this.trajectoryOf(this.timestamps(instances), this.timestamps(reflections)),
+        firstSeen: new Date(instances[0].timestamp),
+        lastSeen: new Date(instances[instances.length - 1].timestamp),
+        depth: depth,
+        themes: [concept.name],
+        instances: concept.reflections,
+        relatedConcepts: concept.related
       };
       
-      if (pattern.strength > this.patternThreshold) {
+      if (pattern.strength > threshold) {
         conceptualPatterns.push(pattern);
-        this.patterns.set(`conceptual-${concept}`, pattern);
       }
+    }
+    
+    const strongest = conceptualPatterns
+      .sort((a, b) => b.strength - a.strength || b.occurrences - a.occurrences)
+      .slice(0, this.maxConcepts);
+    strongest.forEach(pattern => this.patterns.set(`conceptual-${pattern.name}`, pattern));
+    
+    return strongest;
+  }
+
+  // Share of the period in scope, cut into up to SPREAD_PERIODS equal
+  // stretches, in which the instances turn up. Only stretches holding any
+  // reflection count, so quiet months do not dilute it.
+  timeSpread(instances, reflections) {
+    const times = reflections.map(reflection => new Date(reflection.timestamp).getTime());
+    const start = Math.min(...times);
+    const span = Math.max(...times) - start;
+    const periods = Math.min(SPREAD_PERIODS, reflections.length);
+    if (span === 0 || periods < 2) return 1;
+    
+    const periodOf = reflection =>
+      Math.min(periods - 1, Math.floor((new Date(reflection.timestamp).getTime() - start) / span * periods));
+    const active = new Set(reflections.map(periodOf));
+    const covered = new Set(instances.map(periodOf));
+    return covered.size / active.size;
+  }
+
+  // How someone reflects rather than what about: how often, how deep, at
+  // what length, which tools follow one another, which thoughts they come
+  // back to and which dives they leave without writing anything down. Tool
+  // habits come from the engine's activity log, narrowed to the same dates
+  // as the reflections but not by tag or source.
+  async analyzeBehavioralPatterns(reflections = [], filters = {}, threshold = PATTERN_THRESHOLD) {
+    const activity = this.engine?.activity
+      ? await this.engine.activity.read({ after: filters.after, before: filters.before })
+      : [];
+    
+    const behavioralPatterns = [
+      this.reflectionRhythm(reflections),
+      ...this.depthModes(reflections),
+      this.reflectionLength(reflections),
+      ...this.toolSequences(activity, reflections),
+      this.revisits(reflections),
+      this.abandonedDives(activity, reflections)
+    ].filter(pattern => pattern && pattern.strength > threshold);
+    
+    behavioralPatterns.forEach(pattern => this.patterns.set(`behavioral-${pattern.name}`, pattern));
+    return behavioralPatterns;
+  }
+
+  behavioralPattern(name, fields, times, instances, reflections) {
+    const sorted = times.map(time => new Date(time)).sort((a, b) => a - b);
+    const ids = new Set(instances);
+    const related = reflections.filter(reflection => ids.has(reflection.id));
+    
+    return {
+      type: 'behavioral',
+      name: name,
+      ...fields,
+      firstSeen: sorted[0],
+      lastSeen: sorted[sorted.length - 1],
+      depth: this.averageDepth(related.length > 0 ? related : reflections),
+      themes: [name],
+      instances: instances
+    };
+  }
+
+  // How regularly reflections are written. Strength is how even the gaps
+  // between days with a reflection are: 1 for clockwork, towards 0 for bursts.
+  reflectionRhythm(reflections) {
+    const days = [...new Set(reflections.map(reflection => this.localTime(reflection.timestamp).day))];
+    if (days.length < 3) return null;
+    
+    const gaps = days.slice(1).map((day, index) => day - days[index]);
+    const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    const deviation = Math.sqrt(gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length);
+    const medianGap = this.median(gaps);
+    
+    let name = 'occasional reflection';
+    if (medianGap <= 1) name = 'daily reflection';
+    else if (medianGap <= 3) name = 'reflection every few days';
+    else if (medianGap <= 8) name = 'weekly reflection';
+    
+    const times = reflections.map(reflection => reflection.timestamp);
+    return this.behavioralPattern(name, {
+      strength: this.round(1 / (1 + deviation / mean)),
+      occurrences: reflections.length,
+      activeDays: days.length,
+      medianGapDays: medianGap,
+      perWeek: this.round(reflections.length / Math.max(1, (days[days.length - 1] - days[0] + 1) / 7)),
+      ...this.trajectoryOf(times)
+    }, times, reflections.map(reflection => reflection.id), reflections);
+  }
+
+  // Each depth chosen for a good share of the reflections
+  depthModes(reflections) {
+    return Object.keys(DEPTH_VALUES).map(depth => {
+      const instances = reflections.filter(reflection => reflection.depth === depth);
+      if (instances.length === 0) return null;
+      
+      return this.behavioralPattern(`${depth} reflections`, {
+        strength: this.round(instances.length / reflections.length),
+        occurrences: instances.length,
+        ...this.trajectoryOf(this.timestamps(instances), this.timestamps(reflections))
+      }, instances.map(reflection => reflection.timestamp), instances.map(reflection => reflection.id), reflections);
+    }).filter(Boolean);
+  }
+
+  // The length most reflections are written at, and how many stay near it
+  reflectionLength(reflections) {
+    if (reflections.length === 0) return null;
+    
+    const wordCount = reflection => reflection.wordCount ?? tokenize(reflection.original).length;
+    const band = words => LENGTH_BANDS.find(({ maxWords }) => words <= maxWords);
+    const medianWords = this.median(reflections.map(wordCount));
+    const typical = band(medianWords);
+    const instances = reflections.filter(reflection => band(wordCount(reflection)) === typical);
+    
+    return this.behavioralPattern(typical.name, {
+      strength: this.round(instances.length / reflections.length),
+      occurrences: instances.length,
+      medianWords: medianWords,
+      ...this.trajectoryOf(this.timestamps(instances), this.timestamps(reflections))
+    }, instances.map(reflection => reflection.timestamp), instances.map(reflection => reflection.id), reflections);
+  }
+
+  // One tool habitually followed by another within a session. Strength is
+  // how often the first tool leads to the second.
+  toolSequences(activity, reflections) {
+    const steps = new Map();
+    const followed = new Map();
+    const previous = new Map();
+    
+    for (const entry of activity) {
+      const before = previous.get(entry.session);
+      previous.set(entry.session, entry);
+      if (!before || new Date(entry.at) - new Date(before.at) > SESSION_GAP) continue;
+      
+      // Every step away from a tool is a chance for it to lead to each other tool
+      if (!followed.has(before.tool)) followed.set(before.tool, []);
+      followed.get(before.tool).push(entry.at);
+      if (entry.tool === before.tool) continue;
+      
+      const key = `${before.tool} → ${entry.tool}`;
+      if (!steps.has(key)) steps.set(key, { from: before.tool, to: entry.tool, times: [], thoughts: new Set() });
+      const step = steps.get(key);
+      step.times.push(entry.at);
+      [before.thought, entry.thought].filter(Boolean).forEach(thought => step.thoughts.add(thought));
+    }
+    
+    return [...steps.entries()]
+      .filter(([, step]) => step.times.length >= 2)
+      .map(([name, step]) => this.behavioralPattern(name, {
+        strength: this.round(step.times.length / followed.get(step.from).length),
+        occurrences: step.times.length,
+        tools: [step.from, step.to],
+        ...this.trajectoryOf(step.times, followed.get(step.from))
+      }, step.times, [...step.thoughts], reflections));
+  }
+
+  // Thoughts reflected more than once
+  revisits(reflections) {
+    const revisited = reflections.filter(reflection => (reflection.revisions?.length || 0) > 1);
+    if (revisited.length === 0) return null;
+    
+    const returns = revisited.flatMap(reflection => reflection.revisions.slice(1).map(revision => revision.timestamp));
+    const gaps = revisited.flatMap(reflection => reflection.revisions.slice(1).map((revision, index) =>
+      (new Date(revision.timestamp) - new Date(reflection.revisions[index].timestamp)) / DAY_MS));
+    
+    return this.behavioralPattern('revisiting thoughts', {
+      strength: this.round(revisited.length / reflections.length),
+      occurrences: revisited.length,
+      visits: returns.length,
+      medianDaysBetweenVisits: this.round(this.median(gaps)),
+      ...this.trajectoryOf(returns)
+    }, returns, revisited.map(reflection => reflection.id), reflections);
+  }
+
+  // Depth dives that no reflection followed in the same session. A dive
+  // still within its half hour is not judged yet.
+  abandonedDives(activity, reflections) {
+    const followedUp = dive => activity.some(entry =>
+      entry.tool === 'reflect_thought' &&
+      entry.session === dive.session &&
+      new Date(entry.at) >= new Date(dive.at) &&
+      new Date(entry.at) - new Date(dive.at) <= SESSION_GAP);
+    const dives = activity.filter(entry => entry.tool === 'depth_diving' &&
+      (Date.now() - new Date(entry.at) > SESSION_GAP || followedUp(entry)));
+    if (dives.length === 0) return null;
+    
+    const abandoned = dives.filter(dive => !followedUp(dive));
+    if (abandoned.length === 0) return null;
+    
+    const reached = dives.filter(dive => Number.isInteger(dive.reachedDepth));
+    return this.behavioralPattern('abandoned dives', {
+      strength: this.round(abandoned.length / dives.length),
+      occurrences: abandoned.length,
+      dives: dives.length,
+      averageLevelsReached: reached.length > 0
+        ? this.round(reached.reduce((sum, dive) => sum + dive.reachedDepth, 0) / reached.length)
+        : null,
+      ...this.trajectoryOf(abandoned.map(dive => dive.at), dives.map(dive => dive.at))
+    }, abandoned.map(dive => dive.at), [...new Set(abandoned.map(dive => dive.thought).filter(Boolean))], reflections);
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  // When reflections are written, read on the clock of this.timeZone: the
+  // part of the day and the weekdays they favour, streaks of consecutive
+  // days, long silences, bursts, and concepts that come back on a cycle.
+  analyzeTemporalPatterns(reflections = [], threshold = PATTERN_THRESHOLD) {
+    if (reflections.length === 0) return [];
+    
+    const moments = reflections.map(reflection => ({ reflection, ...this.localTime(reflection.timestamp) }));
+    const temporalPatterns = [
+      ...this.partsOfDay(moments, reflections),
+      ...this.weekdays(moments, reflections),
+      this.streaks(moments, reflections),
+      this.longGaps(moments, reflections),
+      this.bursts(moments, reflections),
+      ...this.periodicThemes(reflections)
+    ].filter(pattern => pattern && pattern.strength > threshold);
+    
+    temporalPatterns.forEach(pattern => this.patterns.set(`temporal-${pattern.name}`, pattern));
+    return temporalPatterns;
+  }
+
+  temporalPattern(name, fields, instances, reflections) {
+    return {
+      type: 'temporal',
+      name: name,
+      ...fields,
+      ...this.trajectoryOf(this.timestamps(instances), this.timestamps(reflections)),
+      firstSeen: new Date(instances[0].timestamp),
+      lastSeen: new Date(instances[instances.length - 1].timestamp),
+      depth: this.averageDepth(instances),
+      themes: fields.themes || [name],
+      instances: instances.map(reflection => reflection.id)
+    };
+  }
+
+  // The local calendar day (days since 1970-01-01), hour and weekday of a moment
+  localTime(timestamp) {
+    const parts = {};
+    for (const { type, value } of this.clock.formatToParts(new Date(timestamp))) parts[type] = value;
+    
+    return {
+      day: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) / DAY_MS,
+      hour: Number(parts.hour) % 24,
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  partsOfDay(moments, reflections) {
+    const distribution = new Array(24).fill(0);
+    moments.forEach(moment => distribution[moment.hour]++);
+    
+    return PARTS_OF_DAY.map(({ name, from, to }) => {
+      const instances = moments.filter(moment => moment.hour >= from && moment.hour < to).map(moment => moment.reflection);
+      if (instances.length === 0) return null;
+      
+      const hours = distribution.slice(from, to);
+      return this.temporalPattern(`${name} reflections`, {
+        strength: this.round(instances.length / reflections.length),
+        occurrences: instances.length,
+        peakHour: from + hours.indexOf(Math.max(...hours)),
+        distribution: distribution,
+        timeZone: this.timeZone
+      }, instances, reflections);
     });
+  }
+
+  weekdays(moments, reflections) {
+    const distribution = new Array(7).fill(0);
+    moments.forEach(moment => distribution[moment.weekday]++);
     
-    return conceptualPatterns;
+    return WEEKDAY_NAMES.map((day, weekday) => {
+      const instances = moments.filter(moment => moment.weekday === weekday).map(moment => moment.reflection);
+      if (instances.length === 0) return null;
+      
+      return this.temporalPattern(`${day} reflections`, {
+        strength: this.round(instances.length / reflections.length),
+        occurrences: instances.length,
+        distribution: Object.fromEntries(WEEKDAY_NAMES.map((name, index) => [name, distribution[index]])),
+        timeZone: this.timeZone
+      }, instances, reflections);
+    });
   }
 
-  analyzeBehavioralPatterns() {
-    // Analyze behavioral patterns in reflection habits
-    return [];
+  // Days with at least one reflection, oldest first, with their reflections
+  activeDays(moments) {
+    const days = new Map();
+    for (const moment of moments) {
+      if (!days.has(moment.day)) days.set(moment.day, []);
+      days.get(moment.day).push(moment.reflection);
+    }
+    return [...days.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([day, dayReflections]) => ({ day, reflections: dayReflections }));
   }
 
-  analyzeTemporalPatterns() {
-    // Analyze time-based patterns
-    return [];
+  dateOf(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  // Runs of at least minStreak consecutive days with a reflection. Strength
+  // is the share of reflecting days that belong to such a run.
+  streaks(moments, reflections) {
+    const days = this.activeDays(moments);
+    const runs = [];
+    for (const entry of days) {
+      const run = runs[runs.length - 1];
+      if (run && entry.day === run[run.length - 1].day + 1) run.push(entry);
+      else runs.push([entry]);
+    }
+    
+    const streaks = runs.filter(run => run.length >= this.temporal.minStreak);
+    if (streaks.length === 0) return null;
+    
+    const longest = streaks.reduce((best, run) => run.length > best.length ? run : best);
+    const last = runs[runs.length - 1];
+    const today = this.localTime(Date.now()).day;
+    const instances = streaks.flat().flatMap(entry => entry.reflections);
+    
+    return this.temporalPattern('reflection streaks', {
+      strength: this.round(streaks.flat().length / days.length),
+      occurrences: streaks.length,
+      longestStreak: {
+        days: longest.length,
+        from: this.dateOf(longest[0].day),
+        to: this.dateOf(longest[longest.length - 1].day)
+      },
+      // A streak still counts as current until a whole day passes without a reflection
+      currentStreak: today - last[last.length - 1].day <= 1 ? last.length : 0,
+      timeZone: this.timeZone
+    }, instances, reflections);
+  }
+
+  // Silences of at least longGap days. Strength is how far the longest
+  // stands out from the usual gap between reflecting days; the reflections
+  // that broke the silences are the instances.
+  longGaps(moments, reflections) {
+    const days = this.activeDays(moments);
+    if (days.length < 2) return null;
+    
+    const intervals = days.slice(1).map((entry, index) => entry.day - days[index].day);
+    const gaps = days.slice(1)
+      .map((entry, index) => ({ before: days[index], after: entry, days: entry.day - days[index].day - 1 }))
+      .filter(gap => gap.days >= this.temporal.longGap);
+    if (gaps.length === 0) return null;
+    
+    const span = days[days.length - 1].day - days[0].day + 1;
+    const longest = Math.max(...gaps.map(gap => gap.days));
+    return this.temporalPattern('long silences', {
+      strength: this.round(1 - this.median(intervals) / (longest + 1)),
+      occurrences: gaps.length,
+      longestGapDays: longest,
+      silentShare: this.round(gaps.reduce((sum, gap) => sum + gap.days, 0) / span),
+      gaps: gaps
+        .sort((a, b) => b.days - a.days)
+        .slice(0, 5)
+        .map(gap => ({ from: this.dateOf(gap.before.day + 1), to: this.dateOf(gap.after.day - 1), days: gap.days })),
+      timeZone: this.timeZone
+    }, gaps.map(gap => gap.after.reflections[0]).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)), reflections);
+  }
+
+  // Days with far more reflections than usual: at least burstFactor times
+  // the typical reflecting day, and never fewer than three. Strength is how
+  // far the busiest day stands out from the typical one.
+  bursts(moments, reflections) {
+    const days = this.activeDays(moments);
+    const typical = this.median(days.map(entry => entry.reflections.length));
+    const bursts = days.filter(entry => entry.reflections.length >= Math.max(3, typical * this.temporal.burstFactor));
+    if (bursts.length === 0) return null;
+    
+    const instances = bursts.flatMap(entry => entry.reflections);
+    const busiest = Math.max(...bursts.map(entry => entry.reflections.length));
+    return this.temporalPattern('bursts', {
+      strength: this.round(1 - typical / busiest),
+      occurrences: bursts.length,
+      typicalPerDay: typical,
+      burstShare: this.round(instances.length / reflections.length),
+      bursts: bursts.map(entry => ({ date: this.dateOf(entry.day), reflections: entry.reflections.length })),
+      timeZone: this.timeZone
+    }, instances, reflections);
+  }
+
+  // Concepts that return on a cycle: either at a steady interval, with
+  // strength for how steady, or mostly on one weekday, with strength for
+  // the share of their reflections on it. A cycle has to stand out from the
+  // journal's own rhythm: an interval longer than the usual gap between
+  // reflecting days, a weekday favoured well beyond how often it is written
+  // on. The concept is the theme, so a cycle surfaces as an undercurrent.
+  periodicThemes(reflections) {
+    const byId = new Map(reflections.map(reflection => [reflection.id, reflection]));
+    const patterns = [];
+    
+    const journal = reflections.map(reflection => this.localTime(reflection.timestamp));
+    const journalDays = [...new Set(journal.map(moment => moment.day))];
+    const usualGap = journalDays.length > 1
+      ? this.median(journalDays.slice(1).map((day, index) => day - journalDays[index]))
+      : 1;
+    const weekdayOf = day => ((day + 4) % 7 + 7) % 7;
+    const journalShare = weekday => journalDays.filter(day => weekdayOf(day) === weekday).length / journalDays.length;
+    
+    for (const concept of this.conceptMiner.mine(reflections)) {
+      const instances = concept.reflections.map(id => byId.get(id));
+      const moments = instances.map(reflection => this.localTime(reflection.timestamp));
+      // Cycles are counted in days, so a burst of reflections on one day counts once
+      const days = [...new Set(moments.map(moment => moment.day))];
+      if (days.length < this.temporal.minCycles) continue;
+      
+      const counts = new Array(7).fill(0);
+      days.forEach(day => counts[weekdayOf(day)]++);
+      const busiest = counts.indexOf(Math.max(...counts));
+      const weekly = counts[busiest] >= this.temporal.minCycles &&
+        counts[busiest] / days.length - journalShare(busiest) >= 0.25;
+      
+      if (weekly) {
+        patterns.push(this.temporalPattern(`${concept.name} on ${WEEKDAY_NAMES[busiest]}s`, {
+          strength: this.round(counts[busiest] / days.length),
+          occurrences: counts[busiest],
+          weekday: WEEKDAY_NAMES[busiest],
+          timeZone: this.timeZone,
+          themes: [concept.name]
+        }, instances.filter((reflection, index) => moments[index].weekday === busiest), reflections));
+      }
+      
+      const intervals = days.slice(1).map((day, index) => day - days[index]);
+      const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+      const deviation = Math.sqrt(intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length);
+      const period = this.median(intervals);
+      
+      // A weekly cycle already said it better
+      if (period >= 2 && period > usualGap * 1.5 && !(weekly && period % 7 === 0)) {
+        patterns.push(this.temporalPattern(`${concept.name} every ${period} days`, {
+          strength: this.round(1 / (1 + deviation / mean)),
+          occurrences: instances.length,
+          periodDays: period,
+          themes: [concept.name]
+        }, instances, reflections));
+      }
+    }
+    
+    return patterns;
   }
 
   findCrossCurrents(themes) {
@@ -226,19 +805,6 @@ class PatternDetector extends EventEmitter {
     return crossCurrents;
   }
 
-  findRelatedConcepts(concept) {
-    // Map of concept relationships
-    const conceptMap = {
-      'consciousness': ['awareness', 'being', 'experience'],
-      'identity': ['self', 'essence', 'becoming'],
-      'transformation': ['change', 'evolution', 'metamorphosis'],
-      'connection': ['relationship', 'resonance', 'unity'],
-      'emergence': ['becoming', 'arising', 'manifestation']
-    };
-    
-    return conceptMap[concept] || [];
-  }
-
   generatePatternInsights(discoveries) {
     const insights = [];
     
@@ -256,7 +822,19 @@ class PatternDetector extends EventEmitter {
       insights.push({
         type: 'emerging_pattern',
         message: `${discoveries.emergingPatterns[0].name} is becoming more prominent in your thoughts`,
-        trajectory: 'ascending'
+        trajectory: 'ascending',
+        confidence: discoveries.emergingPatterns[0].trend.confidence
+      });
+    }
+    
+    // Oscillating pattern insight
+    const oscillating = discoveries.patterns.find(p => p.trajectory === 'oscillating');
+    if (oscillating) {
+      insights.push({
+        type: 'oscillating_pattern',
+        message: `${oscillating.name} comes and goes in waves rather than settling`,
+        trajectory: 'oscillating',
+        confidence: oscillating.trend.confidence
       });
     }
     
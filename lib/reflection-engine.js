@@ -1,44 +1,128 @@
 import { EventEmitter } from 'events';
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { join } from 'path';
 import { createHash } from 'crypto';
+import {
+  REFLECTION_SCHEMA_VERSION,
+  REFLECTION_DEPTHS,
+  REFLECTION_SOURCES,
+  createRevision,
+  normalizeReflection
+} from './reflection-schema.js';
+import { createStorage } from './storage/index.js';
+import { ArchiveLock } from './storage/archive-lock.js';
+import { ReflectionWatcher } from './reflection-watcher.js';
+import { ActivityLog } from './activity-log.js';
+import { EchoIndex } from './echo-index.js';
+import { parseSearchQuery, positiveTerms, buildSnippet } from './search-query.js';
+import { tokenize } from './text-analysis.js';
+import { UNDETERMINED, detectLanguage, isStopWord, stem } from './language.js';
+import { SIMILARITY_MODES, createSimilarityProvider, cosineSimilarity } from './similarity/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Version of the text analysis (tokens, keywords, language) stored on each
+// reflection. Bump it when extraction changes, then run reindex.
+const ENGINE_VERSION = 1;
+
+// Minimum similarity for an echo in each similarity mode.
+// TF-IDF scores run lower than raw word overlap, so the lexical threshold is low.
+const ECHO_THRESHOLDS = { lexical: 0.2, semantic: 0.25, hybrid: 0.2 };
+
+// Minimum weight of a connection the author made explicitly
+const LINK_WEIGHT = 0.5;
 
 class ReflectionEngine extends EventEmitter {
-  constructor(reflectionsPath = 'reflections') {
+  constructor(reflectionsPath = 'reflections', options = {}) {
     super();
     this.reflectionsPath = reflectionsPath;
+    this.storage = options.storage && typeof options.storage === 'object'
+      ? options.storage
+      : createStorage(options.storage || 'directory', reflectionsPath, options.storageOptions);
     this.reflections = new Map();
     this.connections = new Map();
     this.timeline = [];
+    this.echoIndex = new EchoIndex();
+    this.keywordIndex = new EchoIndex();
+    this.similarityProvider = options.similarityProvider
+      || createSimilarityProvider(options.similarity);
+    this.similarityMode = options.similarityMode || 'lexical';
+    this.lock = new ArchiveLock(reflectionsPath, options.lock);
+    // Tool calls recorded for behavioral patterns; activity: false turns it off
+    this.activity = new ActivityLog(reflectionsPath, { enabled: options.activity !== false });
+    // Optional: { debounce } or true to pick up files changed by hand or by sync
+    this.watchOptions = options.watch ? { ...options.watch } : null;
+    this.watcher = null;
+    this.loadReport = { loaded: 0, migrated: 0, stale: 0, skipped: [] };
   }
 
   async initialize() {
     try {
-      await mkdir(this.reflectionsPath, { recursive: true });
+      await this.storage.open();
+      await this.similarityProvider.initialize();
+      await this.lock.checkpoint();
       await this.loadExistingReflections();
-      this.emit('initialized', { count: this.reflections.size });
+      if (this.watchOptions) {
+        this.watcher = new ReflectionWatcher(this, this.watchOptions);
+        this.watcher.start();
+      }
+      this.emit('initialized', {
+        count: this.reflections.size,
+        skipped: this.loadReport.skipped.length
+      });
     } catch (error) {
       this.emit('error', error);
       throw error;
     }
   }
 
-  async reflectThought(thought, depth = 'deep', includeEvolution = true) {
-    const timestamp = new Date().toISOString();
+  async reflectThought(thought, depth = 'deep', includeEvolution = true, options = {}) {
+    return this.withArchiveLock(async () => {
+      const reflection = await this.recordReflection(thought, depth, includeEvolution, options);
+      
+      // Save to disk
+      await this.saveReflection(reflection);
+      await this.saveConnections();
+      this.emit('reflection-recorded', { id: reflection.id });
+      
+      return {
+        reflection,
+        insights: this.generateInsights(reflection),
+        questions: this.generateDeeperQuestions(thought, depth)
+      };
+    });
+  }
+
+  // Build, index and connect a reflection in memory; the caller saves it.
+  // Imports pass the entry's original timestamp.
+  async recordReflection(thought, depth, includeEvolution, options = {}, timestamp = new Date().toISOString()) {
+    const similarityMode = options.similarity || this.similarityMode;
+    if (!SIMILARITY_MODES.includes(similarityMode)) {
+      throw new Error(`Unknown similarity mode: ${similarityMode}`);
+    }
+    
     const thoughtHash = this.generateHash(thought);
     
+    // Reflecting the same thought again adds a revision under the same id
+    const previous = this.reflections.get(thoughtHash);
+    
     const reflection = {
       id: thoughtHash,
+      schemaVersion: REFLECTION_SCHEMA_VERSION,
       original: thought,
+      ...this.analyzeText(thought),
+      ...this.buildContextMetadata(options, previous),
       depth: depth,
       timestamp: timestamp,
+      createdAt: previous ? previous.createdAt : timestamp,
       mirrors: [],
       resonance: 0,
-      evolution: includeEvolution ? [] : null
+      evolution: includeEvolution ? [] : null,
+      vector: this.buildVector(thought),
+      revisions: previous ? [...previous.revisions] : []
     };
 
-    // Find echoes in existing reflections
-    const echoes = await this.findEchoes(thought, depth);
+    // Find echoes in existing reflections, never counting the thought itself
+    const echoes = (await this.findEchoes(thought, depth, similarityMode))
+      .filter(echo => echo.id !== thoughtHash);
     reflection.mirrors = echoes;
     
     // Calculate resonance based on mirror depth and connections
@@ -46,40 +130,88 @@ class ReflectionEngine extends EventEmitter {
     
     // Trace evolution if requested
     if (includeEvolution) {
-      reflection.evolution = await this.traceThoughtEvolution(thought);
+      reflection.evolution = await this.traceThoughtEvolution(thought, { id: thoughtHash, timestamp });
     }
     
+    reflection.revisions.push(createRevision(reflection, reflection.revisions.length + 1));
+    
     // Store the reflection
     this.reflections.set(thoughtHash, reflection);
-    this.timeline.push({ timestamp, id: thoughtHash, type: 'reflection' });
+    this.addToTimeline({ timestamp, id: thoughtHash, type: previous ? 'revision' : 'reflection' });
+    this.indexReflection(reflection);
     
-    // Save to disk
-    await this.saveReflection(reflection);
+    // Link the new reflection to every mirror it found
+    for (const echo of echoes) {
+      this.addConnection(thoughtHash, echo.id, this.buildEdge(echo, timestamp));
+    }
     
-    return {
-      reflection,
-      insights: this.generateInsights(reflection),
-      questions: this.generateDeeperQuestions(thought, depth)
-    };
+    return reflection;
   }
 
-  async findEchoes(thought, depth) {
+  // Keeps the timeline chronological when older entries are imported
+  addToTimeline(entry) {
+    const time = new Date(entry.timestamp);
+    let index = this.timeline.length;
+    while (index > 0 && new Date(this.timeline[index - 1].timestamp) > time) index--;
+    this.timeline.splice(index, 0, entry);
+  }
+
+  async findEchoes(thought, depth, similarityMode = this.similarityMode) {
     const echoes = [];
-    const keywords = this.extractKeywords(thought);
+    const language = this.detectLanguage(thought);
+    const keywords = this.extractKeywords(thought, language);
+    const scores = new Map();
     
-    for (const [id, reflection] of this.reflections) {
-      const similarity = this.calculateSimilarity(thought, reflection.original);
-      const keywordMatch = this.keywordOverlap(keywords, reflection.keywords || []);
+    // Lexical: only reflections sharing at least one token with the thought are scored
+    if (similarityMode !== 'semantic') {
+      for (const { id, similarity } of this.echoIndex.score(this.echoTerms(this.tokenize(thought), language))) {
+        scores.set(id, { lexical: similarity, semantic: 0 });
+      }
+    }
+    
+    // Reflections sharing keyword stems can echo through keyword overlap alone
+    for (const { id } of this.keywordIndex.score(keywords.map(word => stem(word, language)))) {
+      if (!scores.has(id)) scores.set(id, { lexical: 0, semantic: 0 });
+    }
+    
+    // Semantic: compare against every stored vector
+    if (similarityMode !== 'lexical') {
+      const vector = this.similarityProvider.embed(thought);
+      for (const [id, reflection] of this.reflections) {
+        const semantic = cosineSimilarity(vector, this.vectorFor(reflection));
+        if (semantic <= 0) continue;
+        
+        const score = scores.get(id) || { lexical: 0, semantic: 0 };
+        score.semantic = semantic;
+        scores.set(id, score);
+      }
+    }
+    
+    for (const [id, { lexical, semantic }] of scores) {
+      const reflection = this.reflections.get(id);
+      if (!reflection) continue;
+      
+      const similarity = similarityMode === 'lexical' ? lexical
+        : similarityMode === 'semantic' ? semantic
+        : (lexical + semantic) / 2;
+      const keywordMatch = reflection.keywords?.length
+        ? this.keywordOverlap(keywords, reflection.keywords, language, reflection.language)
+        : 0;
       
-      if (similarity > 0.3 || keywordMatch > 0.4) {
-        echoes.push({
+      if (similarity > ECHO_THRESHOLDS[similarityMode] || keywordMatch > 0.4) {
+        const echo = {
           id: id,
           similarity: similarity,
           keywordMatch: keywordMatch,
           original: reflection.original,
           timestamp: reflection.timestamp,
           resonance: reflection.resonance || 0
-        });
+        };
+        if (similarityMode !== 'lexical') {
+          echo.lexicalSimilarity = lexical;
+          echo.semanticSimilarity = semantic;
+        }
+        echoes.push(echo);
       }
     }
     
@@ -95,7 +227,467 @@ class ReflectionEngine extends EventEmitter {
     return echoes.slice(0, limits[depth] || 7);
   }
 
-  async traceEvolution(concept, showBranches = true) {
+  getReflectionHistory({ id, thought } = {}) {
+    const reflectionId = id || (thought ? this.generateHash(thought) : null);
+    const reflection = reflectionId ? this.reflections.get(reflectionId) : null;
+    if (!reflection) {
+      throw new Error(id ? `No reflection with id ${id}` : 'That thought has not been reflected yet');
+    }
+    
+    const describe = mirrorId => ({
+      id: mirrorId,
+      thought: this.reflections.get(mirrorId)?.original ?? null
+    });
+    
+    // Compare every visit with the one before it
+    const revisions = reflection.revisions.map((revision, index) => {
+      const before = reflection.revisions[index - 1];
+      const entry = { ...revision, changes: null };
+      
+      if (before) {
+        const beforeIds = new Set(before.mirrors.map(mirror => mirror.id));
+        const currentIds = new Set(revision.mirrors.map(mirror => mirror.id));
+        
+        entry.changes = {
+          resonance: revision.resonance - before.resonance,
+          depth: revision.depth !== before.depth ? { from: before.depth, to: revision.depth } : null,
+          newEchoes: [...currentIds].filter(mirrorId => !beforeIds.has(mirrorId)).map(describe),
+          fadedEchoes: [...beforeIds].filter(mirrorId => !currentIds.has(mirrorId)).map(describe),
+          daysSinceLastVisit: (new Date(revision.timestamp) - new Date(before.timestamp)) / DAY_MS
+        };
+      }
+      
+      return entry;
+    });
+    
+    const first = reflection.revisions[0];
+    const last = reflection.revisions[reflection.revisions.length - 1];
+    
+    return {
+      id: reflection.id,
+      thought: reflection.original,
+      firstReflected: reflection.createdAt,
+      lastReflected: reflection.timestamp,
+      visits: revisions.length,
+      resonanceChange: last.resonance - first.resonance,
+      revisions
+    };
+  }
+
+  requireReflection(id) {
+    const reflection = this.reflections.get(id);
+    if (!reflection) throw new Error(`No reflection with id ${id}`);
+    return reflection;
+  }
+
+  getReflection(id) {
+    const reflection = this.requireReflection(id);
+    const neighbors = this.connections.get(id) || new Map();
+    
+    return {
+      reflection,
+      connections: [...neighbors]
+        .map(([neighborId, edge]) => ({
+          id: neighborId,
+          thought: this.reflections.get(neighborId)?.original ?? null,
+          ...edge
+        }))
+        .sort((a, b) => b.weight - a.weight)
+    };
+  }
+
+  // Cursor pagination over the archive. The cursor is the sort key and id of
+  // the last item returned, so pages stay stable while reflections are added.
+  listReflections({ cursor = null, limit = 20, sort = 'time', order = 'desc', ...filters } = {}) {
+    const sortKeys = {
+      time: reflection => new Date(reflection.timestamp).getTime(),
+      resonance: reflection => reflection.resonance
+    };
+    const sortKey = sortKeys[sort];
+    if (!sortKey) {
+      throw new Error(`Unknown sort: ${sort} (expected ${Object.keys(sortKeys).join(', ')})`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error(`Unknown order: ${order} (expected asc or desc)`);
+    }
+    
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (keyA, idA, keyB, idB) =>
+      (keyA - keyB) * direction || (idA < idB ? -1 : idA > idB ? 1 : 0);
+    
+    const matching = [...this.reflections.values()]
+      .filter(reflection => this.matchesFilters(reflection, filters))
+      .sort((a, b) => compare(sortKey(a), a.id, sortKey(b), b.id));
+    
+    let start = 0;
+    if (cursor) {
+      const position = this.decodeCursor(cursor, sort);
+      start = matching.findIndex(reflection =>
+        compare(sortKey(reflection), reflection.id, position.key, position.id) > 0);
+      if (start === -1) start = matching.length;
+    }
+    
+    const pageSize = Math.max(1, Math.min(Math.floor(limit) || 20, 100));
+    const page = matching.slice(start, start + pageSize);
+    const last = page[page.length - 1];
+    
+    return {
+      total: matching.length,
+      reflections: page.map(reflection => ({
+        id: reflection.id,
+        thought: reflection.original,
+        depth: reflection.depth,
+        timestamp: reflection.timestamp,
+        createdAt: reflection.createdAt,
+        resonance: reflection.resonance,
+        visits: reflection.revisions.length,
+        tags: reflection.tags || [],
+        mood: reflection.mood ?? null,
+        source: reflection.source ?? null
+      })),
+      nextCursor: start + pageSize < matching.length
+        ? this.encodeCursor({ sort, key: sortKey(last), id: last.id })
+        : null
+    };
+  }
+
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  decodeCursor(cursor, sort) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('Invalid cursor');
+    }
+    if (!position || typeof position.key !== 'number' || typeof position.id !== 'string') {
+      throw new Error('Invalid cursor');
+    }
+    if (position.sort !== sort) {
+      throw new Error(`Cursor was issued for sort "${position.sort}", not "${sort}"`);
+    }
+    return position;
+  }
+
+  // Read-only search; the query is never stored as a reflection
+  searchReflections(query, { minResonance = 0, limit = 20, ...filters } = {}) {
+    const tree = parseSearchQuery(query);
+    const { words, phrases } = positiveTerms(tree);
+    const queryTokens = [...words, ...phrases.flat()];
+    
+    const results = [];
+    for (const reflection of this.reflections.values()) {
+      if (reflection.resonance < minResonance || !this.matchesFilters(reflection, filters)) continue;
+      
+      const document = this.searchDocument(reflection);
+      if (tree && !this.matchesQuery(tree, reflection, document)) continue;
+      
+      // Ranked like an echo: TF-IDF similarity plus keyword overlap
+      const score = queryTokens.length > 0
+        ? (this.echoIndex.similarity(this.echoTerms(queryTokens, document.language), document.terms) * 0.6) +
+          (this.keywordOverlap(queryTokens, reflection.keywords || [], document.language, document.language) * 0.4)
+        : 0;
+      
+      results.push({ reflection, document, score });
+    }
+    
+    results.sort((a, b) =>
+      (b.score - a.score) || (new Date(b.reflection.timestamp) - new Date(a.reflection.timestamp)));
+    
+    const pageSize = Math.max(1, Math.min(Math.floor(limit) || 20, 100));
+    
+    return {
+      query: query,
+      total: results.length,
+      results: results.slice(0, pageSize).map(({ reflection, document, score }) => ({
+        id: reflection.id,
+        score: score,
+        snippet: this.searchSnippet(reflection, document, words, phrases),
+        depth: reflection.depth,
+        timestamp: reflection.timestamp,
+        resonance: reflection.resonance,
+        tags: reflection.tags || []
+      }))
+    };
+  }
+
+  searchDocument(reflection) {
+    const language = reflection.language || this.detectLanguage(reflection.original);
+    const tokens = reflection.tokens || this.tokenize(reflection.original);
+    return {
+      language,
+      tokens,
+      terms: this.echoTerms(tokens, language),
+      stems: new Set(tokens.map(token => stem(token, language)))
+    };
+  }
+
+  matchesQuery(node, reflection, document) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.matchesQuery(child, reflection, document));
+      case 'or':
+        return node.children.some(child => this.matchesQuery(child, reflection, document));
+      case 'not':
+        return !this.matchesQuery(node.child, reflection, document);
+      case 'term':
+        return document.stems.has(stem(node.word, document.language));
+      case 'phrase':
+        return this.phrasePositions(document.tokens, node.words).length > 0;
+      case 'field':
+        return this.matchesField(node, reflection);
+      default:
+        return false;
+    }
+  }
+
+  matchesField({ field, value }, reflection) {
+    switch (field) {
+      case 'depth':
+        return reflection.depth === value;
+      case 'tag':
+        return (reflection.tags || []).includes(value);
+      case 'source':
+        return reflection.source === value;
+      case 'mood':
+        return reflection.mood === value;
+      case 'before':
+        return new Date(reflection.timestamp) < value;
+      case 'after':
+        return new Date(reflection.timestamp) >= value;
+      case 'resonance':
+        return reflection.resonance >= value;
+      default:
+        return false;
+    }
+  }
+
+  // Start positions of an exact word sequence
+  phrasePositions(tokens, words) {
+    const positions = [];
+    for (let i = 0; i + words.length <= tokens.length; i++) {
+      if (words.every((word, offset) => tokens[i + offset] === word)) positions.push(i);
+    }
+    return positions;
+  }
+
+  searchSnippet(reflection, document, words, phrases) {
+    const termStems = new Set(words.map(word => stem(word, document.language)));
+    
+    // Token positions covered by a matching phrase
+    const phraseTokens = new Set();
+    for (const phrase of phrases) {
+      for (const position of this.phrasePositions(document.tokens, phrase)) {
+        phrase.forEach((_, offset) => phraseTokens.add(position + offset));
+      }
+    }
+    
+    return buildSnippet(reflection.original, (span, index) =>
+      phraseTokens.has(index) || termStems.has(stem(span.token, document.language)));
+  }
+
+  // Correct a stored reflection. Ids are hashes of the text, so a new text
+  // moves the reflection to the new text's id, re-analyzes it and finds its
+  // echoes again; the revision history comes along.
+  async updateReflection(id, changes = {}) {
+    return this.withArchiveLock(async () => {
+      const reflection = this.requireReflection(id);
+      
+      if (changes.depth !== undefined && !REFLECTION_DEPTHS.includes(changes.depth)) {
+        throw new Error(`Unknown depth: ${changes.depth} (expected ${REFLECTION_DEPTHS.join(', ')})`);
+      }
+      Object.assign(reflection, this.buildContextMetadata(changes, reflection));
+      if (changes.depth !== undefined) {
+        reflection.depth = changes.depth;
+        reflection.resonance = this.calculateResonance(reflection.mirrors, reflection.depth);
+      }
+      
+      const changed = [];
+      if (typeof changes.thought === 'string' && changes.thought !== reflection.original) {
+        if (changes.thought.trim().length === 0) throw new Error('thought cannot be empty');
+        
+        const newId = this.generateHash(changes.thought);
+        if (this.reflections.has(newId)) {
+          throw new Error(`That thought is already reflection ${newId}`);
+        }
+        
+        // The old wording's connections and the mirrors pointing at it no longer hold
+        const timeline = this.timeline.filter(entry => entry.id === id);
+        this.forgetReflection(id);
+        changed.push(...this.dropMirror(id));
+        
+        reflection.id = newId;
+        reflection.original = changes.thought;
+        Object.assign(reflection, this.analyzeText(changes.thought));
+        reflection.vector = this.buildVector(changes.thought);
+        this.reflections.set(newId, reflection);
+        this.indexReflection(reflection);
+        timeline.forEach(entry => this.addToTimeline({ ...entry, id: newId }));
+        
+        const echoes = (await this.findEchoes(reflection.original, reflection.depth))
+          .filter(echo => echo.id !== newId);
+        reflection.mirrors = echoes;
+        reflection.resonance = this.calculateResonance(echoes, reflection.depth);
+        for (const echo of echoes) {
+          this.addConnection(newId, echo.id, this.buildEdge(echo, reflection.timestamp));
+        }
+      }
+      
+      reflection.updatedAt = new Date().toISOString();
+      
+      await this.saveReflection(reflection);
+      if (reflection.id !== id) await this.storage.deleteReflection(id);
+      for (const neighbor of changed) await this.saveReflection(neighbor);
+      await this.saveConnections();
+      this.emit('reflection-updated', { id: reflection.id, previousId: id });
+      
+      return this.getReflection(reflection.id);
+    });
+  }
+
+  // Remove a reflection along with its connections, timeline entries, index
+  // postings and the mirrors other reflections recorded of it
+  async deleteReflection(id) {
+    return this.withArchiveLock(async () => {
+      const reflection = this.requireReflection(id);
+      const removedConnections = this.forgetReflection(id);
+      const changed = this.dropMirror(id);
+      
+      await this.storage.deleteReflection(id);
+      for (const neighbor of changed) await this.saveReflection(neighbor);
+      await this.saveConnections();
+      this.emit('reflection-deleted', { id });
+      
+      return {
+        deleted: id,
+        thought: reflection.original,
+        removedConnections
+      };
+    });
+  }
+
+  // Take an id out of every reflection's mirrors; returns the reflections changed
+  dropMirror(id) {
+    const changed = [];
+    for (const reflection of this.reflections.values()) {
+      const mirrors = reflection.mirrors.filter(mirror => mirror.id !== id);
+      if (mirrors.length === reflection.mirrors.length) continue;
+      
+      reflection.mirrors = mirrors;
+      reflection.resonance = this.calculateResonance(mirrors, reflection.depth);
+      changed.push(reflection);
+    }
+    return changed;
+  }
+
+  // Drop a reflection from memory only: maps, indexes, timeline and connections
+  forgetReflection(id) {
+    this.reflections.delete(id);
+    this.echoIndex.remove(id);
+    this.keywordIndex.remove(id);
+    this.timeline = this.timeline.filter(entry => entry.id !== id);
+    return this.removeConnections(id);
+  }
+
+  // Take in a reflection written outside this process (edited by hand,
+  // synced from another machine). Its text may have changed, so it is analyzed
+  // and its echoes found again; explicit links survive. Memory only.
+  async ingestReflection(data) {
+    const reflection = normalizeReflection(data);
+    const { id } = reflection;
+    const previous = this.reflections.get(id);
+    
+    Object.assign(reflection, this.analyzeText(reflection.original));
+    reflection.vector = this.buildVector(reflection.original);
+    
+    const links = [...(this.connections.get(id) || [])].filter(([, edge]) => edge.linked);
+    if (previous) this.forgetReflection(id);
+    
+    this.reflections.set(id, reflection);
+    this.indexReflection(reflection);
+    reflection.revisions.forEach((revision, index) => this.addToTimeline({
+      timestamp: revision.timestamp,
+      id,
+      type: index === 0 ? 'reflection' : 'revision'
+    }));
+    
+    const echoes = (await this.findEchoes(reflection.original, reflection.depth))
+      .filter(echo => echo.id !== id);
+    for (const echo of echoes) {
+      this.addConnection(id, echo.id, this.buildEdge(echo, reflection.timestamp));
+    }
+    for (const [otherId, edge] of links) {
+      if (this.reflections.has(otherId)) this.addConnection(id, otherId, edge);
+    }
+    
+    return { reflection, change: previous ? 'modified' : 'added' };
+  }
+
+  // Tags, mood, source and context; a revisit keeps whatever it does not restate
+  buildContextMetadata(options, previous) {
+    const metadata = {
+      tags: previous?.tags || [],
+      mood: previous?.mood ?? null,
+      source: previous?.source ?? null,
+      context: previous?.context ?? null
+    };
+    
+    if (options.tags !== undefined) {
+      metadata.tags = this.normalizeTags(options.tags);
+    }
+    if (options.mood !== undefined) {
+      metadata.mood = options.mood ? String(options.mood).trim().toLowerCase() : null;
+    }
+    if (options.source !== undefined) {
+      if (options.source !== null && !REFLECTION_SOURCES.includes(options.source)) {
+        throw new Error(`Unknown source: ${options.source} (expected ${REFLECTION_SOURCES.join(', ')})`);
+      }
+      metadata.source = options.source;
+    }
+    if (options.context !== undefined) {
+      metadata.context = options.context ? String(options.context) : null;
+    }
+    
+    return metadata;
+  }
+
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : [tags];
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  // Filters: tags (all must be present), source (one or a list), mood, after, before
+  matchesFilters(reflection, filters = {}) {
+    const { tags, source, mood, after, before } = filters;
+    
+    if (tags && tags.length > 0) {
+      const reflectionTags = new Set(reflection.tags || []);
+      if (!this.normalizeTags(tags).every(tag => reflectionTags.has(tag))) return false;
+    }
+    if (source) {
+      const sources = Array.isArray(source) ? source : [source];
+      if (!sources.includes(reflection.source)) return false;
+    }
+    if (mood && (reflection.mood || '') !== String(mood).trim().toLowerCase()) {
+      return false;
+    }
+    
+    const time = new Date(reflection.timestamp);
+    if (after && time < new Date(after)) return false;
+    if (before && time >= new Date(before)) return false;
+    
+    return true;
+  }
+
+  queryReflections(filters = {}) {
+    return [...this.reflections.values()]
+      .filter(reflection => this.matchesFilters(reflection, filters))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  async traceEvolution(concept, showBranches = true, filters = {}) {
     const evolution = {
       concept: concept,
       origin: null,
@@ -107,7 +699,8 @@ class ReflectionEngine extends EventEmitter {
     // Find all reflections containing the concept
     const relatedReflections = [];
     for (const [id, reflection] of this.reflections) {
-      if (this.containsConcept(reflection.original, concept)) {
+      if (this.matchesFilters(reflection, filters) &&
+          this.containsConcept(reflection.original, concept, reflection.language)) {
         relatedReflections.push({ id, reflection, timestamp: new Date(reflection.timestamp) });
       }
     }
@@ -160,39 +753,50 @@ class ReflectionEngine extends EventEmitter {
     
     const originHash = this.generateHash(originThought);
     const visited = new Set([originHash]);
-    let currentWave = [originHash];
+    // Strength of a thought is the product of edge weights along the path that reached it
+    let currentWave = new Map([[originHash, 1]]);
     
-    for (let distance = 1; distance <= rippleDistance && currentWave.length > 0; distance++) {
-      const nextWave = [];
+    for (let distance = 1; distance <= rippleDistance && currentWave.size > 0; distance++) {
+      const nextWave = new Map();
+      
+      for (const [thoughtId, pathStrength] of currentWave) {
+        const edges = this.connections.get(thoughtId) || new Map();
+        
+        for (const [connectedId, edge] of edges) {
+          if (visited.has(connectedId)) continue;
+          
+          const strength = pathStrength * edge.weight;
+          if (strength > (nextWave.get(connectedId) || 0)) {
+            nextWave.set(connectedId, strength);
+          }
+        }
+      }
+      
       const waveData = {
         distance: distance,
         thoughts: [],
-        strength: 1 / distance
+        strength: 0
       };
       
-      for (const thoughtId of currentWave) {
-        const connections = this.connections.get(thoughtId) || [];
+      for (const [connectedId, strength] of nextWave) {
+        visited.add(connectedId);
         
-        for (const connectedId of connections) {
-          if (!visited.has(connectedId)) {
-            visited.add(connectedId);
-            nextWave.push(connectedId);
-            
-            const reflection = this.reflections.get(connectedId);
-            if (reflection) {
-              waveData.thoughts.push({
-                id: connectedId,
-                thought: reflection.original,
-                resonance: reflection.resonance * waveData.strength
-              });
-              
-              ripples.affectedThoughts.push(reflection.original);
-            }
-          }
+        const reflection = this.reflections.get(connectedId);
+        if (reflection) {
+          waveData.thoughts.push({
+            id: connectedId,
+            thought: reflection.original,
+            strength: strength,
+            resonance: reflection.resonance * strength
+          });
+          
+          ripples.affectedThoughts.push(reflection.original);
         }
       }
       
       if (waveData.thoughts.length > 0) {
+        waveData.strength = waveData.thoughts.reduce((sum, t) => sum + t.strength, 0) / waveData.thoughts.length;
+        waveData.thoughts.sort((a, b) => b.strength - a.strength);
         ripples.waves.push(waveData);
         ripples.totalImpact += waveData.thoughts.reduce((sum, t) => sum + t.resonance, 0);
       }
@@ -208,34 +812,115 @@ class ReflectionEngine extends EventEmitter {
     return createHash('sha256').update(text).digest('hex').substring(0, 16);
   }
 
+  tokenize(text) {
+    return tokenize(text);
+  }
+
   calculateSimilarity(text1, text2) {
-    // Simple cosine similarity implementation
-    const words1 = text1.toLowerCase().split(/\s+/);
-    const words2 = text2.toLowerCase().split(/\s+/);
-    const allWords = [...new Set([...words1, ...words2])];
-    
-    const vector1 = allWords.map(word => words1.includes(word) ? 1 : 0);
-    const vector2 = allWords.map(word => words2.includes(word) ? 1 : 0);
-    
-    const dotProduct = vector1.reduce((sum, val, i) => sum + val * vector2[i], 0);
-    const magnitude1 = Math.sqrt(vector1.reduce((sum, val) => sum + val * val, 0));
-    const magnitude2 = Math.sqrt(vector2.reduce((sum, val) => sum + val * val, 0));
+    // TF-IDF cosine similarity weighted by the current corpus
+    return this.echoIndex.similarity(
+      this.echoTerms(this.tokenize(text1), this.detectLanguage(text1)),
+      this.echoTerms(this.tokenize(text2), this.detectLanguage(text2))
+    );
+  }
+
+  // What the echo index holds for a text: the stem of every word but the
+  // stop words, so "create" echoes "creating" and "the" echoes nothing.
+  // A thought too short to tell its language is stemmed as English, so
+  // "Restless hands" still meets "restless hand" in an English reflection.
+  echoTerms(tokens, language) {
+    const stemLanguage = language === UNDETERMINED ? 'en' : language;
+    return tokens
+      .filter(token => !isStopWord(token, language))
+      .map(token => stem(token, stemLanguage));
+  }
+
+  // Metadata derived from a reflection's text
+  analyzeText(text) {
+    const tokens = this.tokenize(text);
+    const language = detectLanguage(tokens);
     
-    return magnitude1 && magnitude2 ? dotProduct / (magnitude1 * magnitude2) : 0;
+    return {
+      language: language,
+      keywords: this.extractKeywords(text, language),
+      tokens: tokens,
+      wordCount: tokens.length,
+      engineVersion: ENGINE_VERSION
+    };
+  }
+
+  isStale(reflection) {
+    return reflection.engineVersion !== ENGINE_VERSION ||
+      reflection.vector?.provider !== this.similarityProvider.id;
+  }
+
+  // Recompute text metadata and vectors for the whole archive and save it
+  async reindex({ force = false } = {}) {
+    return this.withArchiveLock(async () => {
+      const updated = [];
+      
+      for (const reflection of this.reflections.values()) {
+        if (!force && !this.isStale(reflection)) continue;
+        
+        Object.assign(reflection, this.analyzeText(reflection.original));
+        reflection.vector = this.buildVector(reflection.original);
+        this.indexReflection(reflection);
+        updated.push(reflection);
+      }
+      
+      await this.storage.putReflections(updated);
+      this.emit('reindexed', { count: updated.length });
+      
+      return {
+        total: this.reflections.size,
+        reindexed: updated.length,
+        engineVersion: ENGINE_VERSION
+      };
+    });
+  }
+
+  buildVector(text) {
+    return {
+      provider: this.similarityProvider.id,
+      values: this.similarityProvider.embed(text).map(value => Math.round(value * 1e5) / 1e5)
+    };
+  }
+
+  // Vectors from another provider are recomputed in memory and saved with the next write
+  vectorFor(reflection) {
+    if (reflection.vector?.provider !== this.similarityProvider.id) {
+      reflection.vector = this.buildVector(reflection.original);
+    }
+    return reflection.vector.values;
   }
 
-  extractKeywords(text) {
-    // Simple keyword extraction
-    const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for']);
-    return text.toLowerCase()
-      .split(/\s+/)
-      .filter(word => word.length > 3 && !stopWords.has(word))
-      .slice(0, 10);
+  detectLanguage(text) {
+    return detectLanguage(this.tokenize(text));
+  }
+
+  extractKeywords(text, language = this.detectLanguage(text)) {
+    // Content words in order of appearance, one per stem
+    const keywords = [];
+    const seenStems = new Set();
+    
+    for (const word of this.tokenize(text)) {
+      if (word.length <= 2 || isStopWord(word, language)) continue;
+      
+      const wordStem = stem(word, language);
+      if (seenStems.has(wordStem)) continue;
+      
+      seenStems.add(wordStem);
+      keywords.push(word);
+      if (keywords.length === 10) break;
+    }
+    
+    return keywords;
   }
 
-  keywordOverlap(keywords1, keywords2) {
-    const set1 = new Set(keywords1);
-    const set2 = new Set(keywords2);
+  keywordOverlap(keywords1, keywords2, language1 = UNDETERMINED, language2 = language1) {
+    // Compare stems so "create" and "creating" count as the same keyword
+    const set1 = new Set(keywords1.map(word => stem(word, language1)));
+    const set2 = new Set(keywords2.map(word => stem(word, language2)));
     const intersection = [...set1].filter(x => set2.has(x));
     const union = new Set([...set1, ...set2]);
     return union.size > 0 ? intersection.length / union.size : 0;
@@ -306,16 +991,20 @@ class ReflectionEngine extends EventEmitter {
     return questions;
   }
 
-  containsConcept(text, concept) {
+  containsConcept(text, concept, language = this.detectLanguage(text)) {
     const normalizedText = text.toLowerCase();
     const normalizedConcept = concept.toLowerCase();
     
     // Check for exact match
     if (normalizedText.includes(normalizedConcept)) return true;
     
-    // Check for word-based match
-    const conceptWords = normalizedConcept.split(/\s+/);
-    return conceptWords.every(word => normalizedText.includes(word));
+    // Check for stem-based match of every content word in the concept
+    const textStems = new Set(this.tokenize(text).map(word => stem(word, language)));
+    const conceptWords = this.tokenize(concept);
+    const contentWords = conceptWords.filter(word => !isStopWord(word, language));
+    const required = contentWords.length > 0 ? contentWords : conceptWords;
+    
+    return required.length > 0 && required.every(word => textStems.has(stem(word, language)));
   }
 
   identifyTransformation(previousThought, currentThought) {
@@ -328,31 +1017,376 @@ class ReflectionEngine extends EventEmitter {
   }
 
   findConceptBranches(reflections, concept) {
-    // Implementation for finding conceptual branches
+    // Build a lineage tree: each reflection descends from the earlier one it
+    // most resembles once the concept itself is set aside. A reflection whose
+    // parent already has an earlier child forks a new branch.
     const branches = [];
-    // ... complex branching logic ...
-    return branches;
+    if (reflections.length === 0) return branches;
+    
+    const nodes = reflections.map(({ id, reflection }) => {
+      const language = reflection.language || this.detectLanguage(reflection.original);
+      const conceptStems = new Set(this.tokenize(concept).map(word => stem(word, language)));
+      const tokens = this.echoTerms(reflection.tokens || this.tokenize(reflection.original), language)
+        .filter(term => !conceptStems.has(term));
+      const keywords = (reflection.keywords || this.extractKeywords(reflection.original, language))
+        .filter(word => !conceptStems.has(stem(word, language)));
+      
+      return { id, reflection, language, tokens, keywords, branch: null, parent: null, children: 0 };
+    });
+    
+    const affinity = (a, b) =>
+      (this.echoIndex.similarity(a.tokens, b.tokens) * 0.6) +
+      (this.keywordOverlap(a.keywords, b.keywords, a.language, b.language) * 0.4);
+    
+    const describe = node => ({
+      id: node.id,
+      thought: node.reflection.original,
+      timestamp: node.reflection.timestamp
+    });
+    
+    const newBranch = (forkNode) => {
+      const branch = {
+        id: `branch-${branches.length + 1}`,
+        forkPoint: forkNode ? describe(forkNode) : null,
+        nodes: [],
+        rejoined: null
+      };
+      branches.push(branch);
+      return branch;
+    };
+    
+    const parentThreshold = 0.12;
+    const rejoinThreshold = 0.2;
+    const lookback = 200;
+    
+    nodes.forEach((node, index) => {
+      // Rank earlier reflections by affinity
+      const candidates = [];
+      for (let i = Math.max(0, index - lookback); i < index; i++) {
+        const score = affinity(node, nodes[i]);
+        if (score >= parentThreshold) candidates.push({ node: nodes[i], score });
+      }
+      candidates.sort((a, b) => b.score - a.score);
+      
+      const parent = candidates.length > 0 ? candidates[0].node : null;
+      node.parent = parent;
+      
+      if (!parent) {
+        node.branch = newBranch(null);
+      } else if (parent.children === 0) {
+        node.branch = parent.branch;
+      } else {
+        node.branch = newBranch(parent);
+      }
+      if (parent) parent.children++;
+      node.branch.nodes.push(node);
+      
+      // A reflection that also strongly resembles another line of thought joins it back
+      const other = candidates.find(candidate =>
+        candidate.node.branch !== node.branch &&
+        candidate.node.branch !== parent?.branch &&
+        candidate.score >= rejoinThreshold);
+      if (other && !other.node.branch.rejoined) {
+        other.node.branch.rejoined = { branch: node.branch.id, at: describe(node) };
+      }
+    });
+    
+    return branches.map(branch => {
+      // Co-occurring keywords, counted by stem and shown in their first form
+      const counts = new Map();
+      for (const node of branch.nodes) {
+        for (const keyword of node.keywords) {
+          const key = stem(keyword, node.language);
+          if (!counts.has(key)) counts.set(key, { keyword, count: 0 });
+          counts.get(key).count++;
+        }
+      }
+      
+      const members = branch.nodes.map(describe);
+      
+      return {
+        id: branch.id,
+        forkPoint: branch.forkPoint,
+        members: members,
+        dominantKeywords: [...counts.values()]
+          .sort((a, b) => b.count - a.count)
+          .slice(0, 5),
+        span: {
+          start: members[0].timestamp,
+          end: members[members.length - 1].timestamp
+        },
+        rejoined: branch.rejoined
+      };
+    });
   }
 
   async loadExistingReflections() {
-    // Load reflections from disk
-    try {
-      // Implementation depends on storage format
-    } catch (error) {
-      console.log('No existing reflections found, starting fresh');
+    // Load reflections from storage, skipping (and reporting) anything unreadable
+    this.loadReport = { loaded: 0, migrated: 0, stale: 0, skipped: [] };
+
+    const { records, errors, connections } = await this.storage.load();
+    errors.forEach(error => this.reportSkipped(error));
+
+    const loaded = [];
+    for (const { source, data } of records) {
+      try {
+        const reflection = normalizeReflection(data);
+        if (data.schemaVersion !== reflection.schemaVersion) {
+          this.loadReport.migrated++;
+        }
+        // Outdated metadata is refreshed in memory; the old engineVersion
+        // stays so reindex still finds and persists it
+        if (reflection.engineVersion !== ENGINE_VERSION) {
+          const { engineVersion, ...metadata } = this.analyzeText(reflection.original);
+          Object.assign(reflection, metadata);
+          this.loadReport.stale++;
+        }
+        loaded.push(reflection);
+      } catch (error) {
+        this.reportSkipped({ source, error: error.message });
+      }
+    }
+
+    this.reflections = new Map();
+    this.echoIndex.clear();
+    this.keywordIndex.clear();
+    for (const reflection of loaded) {
+      this.reflections.set(reflection.id, reflection);
+      this.indexReflection(reflection);
+    }
+
+    // Rebuild the timeline in chronological order, one entry per revision
+    this.timeline = loaded
+      .flatMap(reflection => reflection.revisions.map((revision, index) => ({
+        timestamp: revision.timestamp,
+        id: reflection.id,
+        type: index === 0 ? 'reflection' : 'revision'
+      })))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    this.loadConnections(loaded, connections);
+
+    this.loadReport.loaded = loaded.length;
+    return this.loadReport;
+  }
+
+  indexReflection(reflection) {
+    const language = reflection.language || this.detectLanguage(reflection.original);
+    this.echoIndex.add(reflection.id, this.echoTerms(reflection.tokens || this.tokenize(reflection.original), language));
+    this.keywordIndex.add(reflection.id, this.keywordStems(reflection));
+  }
+
+  reportSkipped(skipped) {
+    this.loadReport.skipped.push(skipped);
+    this.emit('reflection-skipped', skipped);
+  }
+
+  loadConnections(loaded, edges) {
+    this.connections = new Map();
+
+    if (Array.isArray(edges)) {
+      for (const { from, to, ...edge } of edges) {
+        if (this.reflections.has(from) && this.reflections.has(to)) {
+          this.addConnection(from, to, edge);
+        }
+      }
+      return;
+    }
+
+    // No saved graph: rebuild it from the mirrors each reflection recorded
+    for (const reflection of loaded) {
+      for (const mirror of reflection.mirrors) {
+        if (this.reflections.has(mirror.id)) {
+          this.addConnection(reflection.id, mirror.id, this.buildEdge(mirror, reflection.timestamp));
+        }
+      }
+    }
+  }
+
+  buildEdge(echo, timestamp) {
+    const similarity = echo.similarity || 0;
+    const keywordOverlap = echo.keywordMatch || 0;
+    const timeGap = Math.abs(new Date(timestamp) - new Date(echo.timestamp)) || 0;
+
+    // Thoughts close in time reinforce each other slightly more
+    const proximity = 1 / (1 + timeGap / (30 * DAY_MS));
+    const weight = ((similarity * 0.6) + (keywordOverlap * 0.4)) * (0.75 + 0.25 * proximity);
+
+    return { similarity, keywordOverlap, timeGap, weight: Math.min(weight, 1) };
+  }
+
+  addConnection(fromId, toId, edge) {
+    if (fromId === toId) return;
+
+    for (const [a, b] of [[fromId, toId], [toId, fromId]]) {
+      if (!this.connections.has(a)) this.connections.set(a, new Map());
+      this.connections.get(a).set(b, edge);
+    }
+  }
+
+  // An explicit link (an imported [[wikilink]]) is at least a moderate connection
+  // even when the two texts share few words
+  linkReflections(fromId, toId) {
+    const from = this.requireReflection(fromId);
+    const to = this.requireReflection(toId);
+
+    const existing = this.connections.get(fromId)?.get(toId);
+    const edge = existing ? { ...existing } : this.buildEdge({
+      similarity: this.calculateSimilarity(from.original, to.original),
+      keywordMatch: this.keywordOverlap(from.keywords || [], to.keywords || [], from.language, to.language),
+      timestamp: to.timestamp
+    }, from.timestamp);
+
+    edge.linked = true;
+    edge.weight = Math.max(edge.weight, LINK_WEIGHT);
+    this.addConnection(fromId, toId, edge);
+    return edge;
+  }
+
+  removeConnections(id) {
+    const neighbors = this.connections.get(id);
+    if (!neighbors) return 0;
+
+    for (const neighborId of neighbors.keys()) {
+      const back = this.connections.get(neighborId);
+      back?.delete(id);
+      if (back?.size === 0) this.connections.delete(neighborId);
+    }
+    this.connections.delete(id);
+    return neighbors.size;
+  }
+
+  serializeConnections() {
+    // Edges are bidirectional, so each pair is written once
+    const edges = [];
+    for (const [from, neighbors] of this.connections) {
+      for (const [to, edge] of neighbors) {
+        if (from < to) edges.push({ from, to, ...edge });
+      }
     }
+    return edges;
+  }
+
+  async saveConnections() {
+    await this.storage.putConnections(this.serializeConnections());
   }
 
   async saveReflection(reflection) {
-    const filename = `${reflection.id}.json`;
-    const filepath = join(this.reflectionsPath, filename);
-    await writeFile(filepath, JSON.stringify(reflection, null, 2));
+    await this.storage.putReflection(reflection);
+  }
+
+  // Re-read everything from storage, e.g. after the files were replaced
+  async reload() {
+    await this.storage.close();
+    await this.storage.open();
+    await this.lock.checkpoint();
+    await this.loadExistingReflections();
+    // A restore or rekey swaps the directory out from under the watcher
+    this.watcher?.restart();
+    this.emit('reloaded', { count: this.reflections.size });
+  }
+
+  // Pick up what other processes sharing the archive have written since we
+  // last loaded or wrote it
+  async refresh() {
+    return this.lock.enqueue(() => this.reloadIfChanged());
+  }
+
+  async reloadIfChanged() {
+    if (!(await this.lock.hasChanged())) return false;
+    await this.reload();
+    return true;
+  }
+
+  // Change the archive while holding the cross-process lock, starting from
+  // the latest state on disk rather than what this process last saw
+  async withArchiveLock(change) {
+    return this.lock.withLock(async () => {
+      await this.reloadIfChanged();
+      const result = await change();
+      await this.lock.commit();
+      return result;
+    });
+  }
+
+  async close() {
+    this.watcher?.stop();
+    await this.storage.close();
+  }
+
+  async traceThoughtEvolution(thought, { id = this.generateHash(thought), timestamp = new Date().toISOString(), maxSteps = 10 } = {}) {
+    // Walk back in time: each step is the earlier reflection sharing the most
+    // keywords with the step after it, ending at the new thought
+    const lineage = [];
+    const seen = new Set([id]);
+    
+    let current = {
+      id,
+      original: thought,
+      language: this.detectLanguage(thought),
+      timestamp
+    };
+    current.keywords = this.extractKeywords(thought, current.language);
+    
+    while (lineage.length < maxSteps && current.keywords.length > 0) {
+      const before = new Date(current.timestamp);
+      let best = null;
+      
+      // Only reflections sharing a keyword stem are worth comparing
+      for (const { id: candidateId } of this.keywordIndex.score(this.keywordStems(current))) {
+        const candidate = this.reflections.get(candidateId);
+        if (!candidate || seen.has(candidateId) || new Date(candidate.timestamp) >= before) continue;
+        
+        const overlap = this.keywordOverlap(current.keywords, candidate.keywords || [], current.language, candidate.language);
+        if (overlap <= 0) continue;
+        
+        if (!best || overlap > best.overlap ||
+            (overlap === best.overlap && candidate.timestamp > best.reflection.timestamp)) {
+          best = { reflection: candidate, overlap };
+        }
+      }
+      
+      if (!best) break;
+      
+      seen.add(best.reflection.id);
+      lineage.unshift({ reflection: best.reflection, overlap: best.overlap, leadsTo: current });
+      current = best.reflection;
+    }
+    
+    if (lineage.length === 0) return [];
+    
+    // Label each step with how it transformed from the one before
+    const steps = lineage.map(({ reflection, overlap, leadsTo }, index) => ({
+      id: reflection.id,
+      thought: reflection.original,
+      timestamp: reflection.timestamp,
+      sharedKeywords: this.sharedKeywords(reflection, leadsTo),
+      keywordOverlap: overlap,
+      transformation: index === 0
+        ? 'origin'
+        : this.identifyTransformation(lineage[index - 1].reflection.original, reflection.original)
+    }));
+    
+    steps.push({
+      id,
+      thought,
+      timestamp,
+      transformation: this.identifyTransformation(lineage[lineage.length - 1].reflection.original, thought),
+      current: true
+    });
+    
+    return steps;
+  }
+
+  keywordStems(reflection) {
+    const language = reflection.language || UNDETERMINED;
+    return (reflection.keywords || []).map(word => stem(word, language));
   }
 
-  async traceThoughtEvolution(thought) {
-    // Simplified implementation
-    return [];
+  sharedKeywords(reflection, other) {
+    const otherStems = new Set((other.keywords || []).map(word => stem(word, other.language)));
+    return (reflection.keywords || []).filter(word => otherStems.has(stem(word, reflection.language)));
   }
 }
 
-export { ReflectionEngine };
\ No newline at end of file
+export { ReflectionEngine, ENGINE_VERSION };
\ No newline at end of file
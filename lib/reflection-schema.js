@@ -0,0 +1,192 @@
+// Versioned schema for persisted reflections.
+// Every stored reflection carries a schemaVersion; older records are
+// migrated forward step by step before they are validated.
+
+const REFLECTION_SCHEMA_VERSION = 2;
+
+const REFLECTION_DEPTHS = ['surface', 'deep', 'abyss'];
+const REFLECTION_SOURCES = ['journal', 'conversation', 'dream', 'reading'];
+
+// A revision records one visit to a thought: when, how deep, and what it echoed
+function createRevision(reflection, number) {
+  return {
+    revision: number,
+    timestamp: reflection.timestamp,
+    depth: reflection.depth,
+    resonance: reflection.resonance,
+    mirrors: reflection.mirrors.map(mirror => ({
+      id: mirror.id,
+      similarity: mirror.similarity || 0,
+      keywordMatch: mirror.keywordMatch || 0
+    }))
+  };
+}
+
+class ReflectionSchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReflectionSchemaError';
+  }
+}
+
+// Each migration upgrades a record from version N to N + 1
+const migrations = {
+  // Version 0: records written before the schema was versioned.
+  // They may lack mirrors/resonance and sometimes used `thought` for the text.
+  0: (record) => {
+    const migrated = { ...record };
+
+    if (migrated.original === undefined && typeof migrated.thought === 'string') {
+      migrated.original = migrated.thought;
+      delete migrated.thought;
+    }
+
+    if (!Array.isArray(migrated.mirrors)) migrated.mirrors = [];
+    if (typeof migrated.resonance !== 'number') migrated.resonance = 0;
+    if (migrated.evolution === undefined) migrated.evolution = null;
+    if (!migrated.depth) migrated.depth = 'deep';
+
+    migrated.schemaVersion = 1;
+    return migrated;
+  },
+
+  // Version 1: one record per thought with no memory of earlier visits.
+  // The stored state becomes the first revision.
+  1: (record) => ({
+    ...record,
+    createdAt: record.timestamp,
+    revisions: [createRevision(record, 1)],
+    schemaVersion: 2
+  })
+};
+
+function migrateReflection(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new ReflectionSchemaError('Reflection record must be an object');
+  }
+
+  let current = record;
+  let version = Number.isInteger(current.schemaVersion) ? current.schemaVersion : 0;
+
+  if (version > REFLECTION_SCHEMA_VERSION) {
+    throw new ReflectionSchemaError(
+      `Reflection schema version ${version} is newer than supported version ${REFLECTION_SCHEMA_VERSION}`
+    );
+  }
+
+  while (version < REFLECTION_SCHEMA_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new ReflectionSchemaError(`No migration available from schema version ${version}`);
+    }
+    current = migrate(current);
+    version = current.schemaVersion;
+  }
+
+  return current;
+}
+
+function validateReflection(record) {
+  const errors = [];
+
+  if (typeof record.id !== 'string' || record.id.length === 0) {
+    errors.push('id must be a non-empty string');
+  }
+  if (typeof record.original !== 'string') {
+    errors.push('original must be a string');
+  }
+  if (!REFLECTION_DEPTHS.includes(record.depth)) {
+    errors.push(`depth must be one of ${REFLECTION_DEPTHS.join(', ')}`);
+  }
+  if (typeof record.timestamp !== 'string' || Number.isNaN(Date.parse(record.timestamp))) {
+    errors.push('timestamp must be an ISO date string');
+  }
+  if (!Array.isArray(record.mirrors)) {
+    errors.push('mirrors must be an array');
+  } else if (record.mirrors.some(mirror => !mirror || typeof mirror.id !== 'string')) {
+    errors.push('every mirror must reference a reflection id');
+  }
+  if (typeof record.resonance !== 'number' || Number.isNaN(record.resonance)) {
+    errors.push('resonance must be a number');
+  }
+  if (record.evolution !== null && !Array.isArray(record.evolution)) {
+    errors.push('evolution must be an array or null');
+  }
+
+  if (typeof record.createdAt !== 'string' || Number.isNaN(Date.parse(record.createdAt))) {
+    errors.push('createdAt must be an ISO date string');
+  }
+  if (record.updatedAt !== undefined &&
+      (typeof record.updatedAt !== 'string' || Number.isNaN(Date.parse(record.updatedAt)))) {
+    errors.push('updatedAt must be an ISO date string');
+  }
+  if (!Array.isArray(record.revisions) || record.revisions.length === 0) {
+    errors.push('revisions must be a non-empty array');
+  } else if (record.revisions.some(revision =>
+    !revision || typeof revision.timestamp !== 'string' || !Array.isArray(revision.mirrors))) {
+    errors.push('every revision needs a timestamp and mirrors');
+  }
+  if (record.tags !== undefined &&
+      (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('tags must be an array of strings');
+  }
+  if (record.source != null && !REFLECTION_SOURCES.includes(record.source)) {
+    errors.push(`source must be one of ${REFLECTION_SOURCES.join(', ')}`);
+  }
+  for (const field of ['mood', 'context']) {
+    if (record[field] != null && typeof record[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (record.importedFrom !== undefined && (
+    !record.importedFrom ||
+    typeof record.importedFrom.format !== 'string' ||
+    typeof record.importedFrom.source !== 'string'
+  )) {
+    errors.push('importedFrom must name the import format and source');
+  }
+  if (record.language !== undefined && typeof record.language !== 'string') {
+    errors.push('language must be a language code');
+  }
+  for (const field of ['keywords', 'tokens']) {
+    if (record[field] !== undefined &&
+        (!Array.isArray(record[field]) || record[field].some(word => typeof word !== 'string'))) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+  if (record.wordCount !== undefined && !Number.isInteger(record.wordCount)) {
+    errors.push('wordCount must be an integer');
+  }
+  if (record.engineVersion !== undefined && !Number.isInteger(record.engineVersion)) {
+    errors.push('engineVersion must be an integer');
+  }
+  if (record.vector !== undefined && (
+    !record.vector ||
+    typeof record.vector.provider !== 'string' ||
+    !Array.isArray(record.vector.values)
+  )) {
+    errors.push('vector must name its provider and hold an array of values');
+  }
+
+  if (errors.length > 0) {
+    throw new ReflectionSchemaError(`Invalid reflection: ${errors.join('; ')}`);
+  }
+
+  return record;
+}
+
+// Migrate then validate; returns a record at the current schema version
+function normalizeReflection(record) {
+  return validateReflection(migrateReflection(record));
+}
+
+export {
+  REFLECTION_SCHEMA_VERSION,
+  REFLECTION_DEPTHS,
+  REFLECTION_SOURCES,
+  ReflectionSchemaError,
+  createRevision,
+  migrateReflection,
+  validateReflection,
+  normalizeReflection
+};
@@ -0,0 +1,200 @@
+import { watch } from 'fs';
+import { readFile, readdir } from 'fs/promises';
+import { createHash } from 'crypto';
+import { basename, join } from 'path';
+import { ARCHIVE_FILE, TEMPORARY_FILE } from './storage/archive-files.js';
+import { CONNECTIONS_FILE } from './storage/directory-store.js';
+import { ENCRYPTION_FILE, EncryptionError } from './storage/encryption.js';
+
+// Watches reflectionsPath for reflections added, edited or deleted outside
+// this process, by hand or by a sync tool, and brings them into the engine.
+// Bursts of file events are debounced into one pass. Events on the engine:
+//   reflection-added     { id, source }
+//   reflection-modified  { id, source }
+//   reflection-removed   { id, source }
+//   reflections-synced   { added, modified, removed }  once per pass that changed something
+//   watch-error          Error
+class ReflectionWatcher {
+  constructor(engine, { debounce = 250 } = {}) {
+    this.engine = engine;
+    this.debounce = debounce;
+    this.watcher = null;
+    this.timer = null;
+    this.pending = new Set();
+    this.fullScan = false;
+
+    // What each source looked like when last taken in, so our own writes and
+    // repeated events for an unchanged file are ignored
+    this.seen = new Map();
+    // Which reflection each directory file held, for when it disappears
+    this.ids = new Map();
+  }
+
+  start() {
+    if (this.watcher) return;
+    try {
+      this.watcher = watch(this.engine.reflectionsPath, (eventType, name) => this.schedule(name));
+    } catch (error) {
+      this.engine.emit('watch-error', error);
+      return;
+    }
+    this.watcher.on('error', error => this.engine.emit('watch-error', error));
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  restart() {
+    if (!this.watcher) return;
+    this.stop();
+    this.seen.clear();
+    this.ids.clear();
+    this.start();
+  }
+
+  schedule(name) {
+    // Some platforms do not say which file changed
+    if (!name) {
+      this.fullScan = true;
+    } else if (ARCHIVE_FILE.test(name) && !TEMPORARY_FILE.test(name) && name !== ENCRYPTION_FILE) {
+      this.pending.add(name);
+    } else {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  // Run one pass in line with the engine's own reads and writes
+  flush() {
+    const names = this.fullScan ? null : [...this.pending];
+    this.pending = new Set();
+    this.fullScan = false;
+    this.timer = null;
+
+    return this.engine.lock.enqueue(() => this.sync(names))
+      .catch(error => this.engine.emit('watch-error', error));
+  }
+
+  async sync(names) {
+    const report = { added: [], modified: [], removed: [] };
+
+    if (this.engine.storage.type === 'directory') {
+      await this.syncFiles(names, report);
+    } else {
+      // The log and the database are single files; diff the whole archive
+      await this.syncArchive(report);
+    }
+
+    if (report.added.length + report.modified.length + report.removed.length > 0) {
+      this.engine.emit('reflections-synced', report);
+    }
+    return report;
+  }
+
+  async syncFiles(names, report) {
+    const { reflectionsPath, storage } = this.engine;
+
+    if (!names) {
+      // Everything on disk, plus everything in memory in case it was deleted
+      const files = (await readdir(reflectionsPath)).filter(name => ARCHIVE_FILE.test(name));
+      const known = [...this.engine.reflections.keys()].map(id => `${id}.json`);
+      names = [...new Set([...files, ...known])];
+    }
+
+    for (const name of names) {
+      if (name === CONNECTIONS_FILE || name === ENCRYPTION_FILE || !name.endsWith('.json')) continue;
+
+      let content;
+      try {
+        content = await readFile(join(reflectionsPath, name), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.remove(this.ids.get(name) ?? basename(name, '.json'), name, report);
+        this.seen.delete(name);
+        this.ids.delete(name);
+        continue;
+      }
+
+      const fingerprint = this.fingerprint(content);
+      if (this.seen.get(name) === fingerprint) continue;
+
+      let data;
+      try {
+        data = await storage.readJson(name);
+      } catch (error) {
+        if (error instanceof EncryptionError) throw error;
+        // Possibly caught mid-write by a sync tool; the next event retries it
+        this.engine.emit('reflection-skipped', { source: name, error: error.message });
+        continue;
+      }
+      this.seen.set(name, fingerprint);
+
+      // The file now holds a different reflection than before
+      const previousId = this.ids.get(name);
+      if (previousId && previousId !== data?.id) this.remove(previousId, name, report);
+
+      const id = await this.ingest(data, name, report);
+      if (id) this.ids.set(name, id);
+    }
+  }
+
+  async syncArchive(report) {
+    const { records } = await this.engine.storage.load();
+
+    const present = new Set();
+    for (const { source, data } of records) {
+      if (typeof data?.id !== 'string') continue;
+      present.add(data.id);
+
+      const fingerprint = this.fingerprint(JSON.stringify(data));
+      if (this.seen.get(data.id) === fingerprint) continue;
+      this.seen.set(data.id, fingerprint);
+      await this.ingest(data, source, report);
+    }
+
+    for (const id of [...this.engine.reflections.keys()]) {
+      if (!present.has(id)) {
+        this.remove(id, this.engine.reflectionsPath, report);
+        this.seen.delete(id);
+      }
+    }
+  }
+
+  async ingest(data, source, report) {
+    // Unchanged from what we hold: almost always our own write coming back
+    const current = this.engine.reflections.get(data?.id);
+    if (current && JSON.stringify(current) === JSON.stringify(data)) return current.id;
+
+    let result;
+    try {
+      result = await this.engine.ingestReflection(data);
+    } catch (error) {
+      this.engine.emit('reflection-skipped', { source, error: error.message });
+      return null;
+    }
+
+    const { reflection, change } = result;
+    report[change].push(reflection.id);
+    this.engine.emit(`reflection-${change}`, { id: reflection.id, source });
+    return reflection.id;
+  }
+
+  remove(id, source, report) {
+    if (!this.engine.reflections.has(id)) return;
+    this.engine.forgetReflection(id);
+    report.removed.push(id);
+    this.engine.emit('reflection-removed', { id, source });
+  }
+
+  fingerprint(content) {
+    return createHash('sha256').update(content).digest('hex');
+  }
+}
+
+export { ReflectionWatcher };
@@ -0,0 +1,238 @@
+// Query language for search_reflections.
+//   art "blank canvas"            both must match (AND is implied)
+//   art OR music, NOT fear, -fear, -"bad day"  boolean operators; parentheses group
+//   depth:abyss tag:work source:dream mood:calm
+//   after:2024-01-01 before:2024-06-01 resonance:0.5 (minimum)
+// Parsing produces a small tree the engine evaluates per reflection.
+
+import { REFLECTION_DEPTHS, REFLECTION_SOURCES } from './reflection-schema.js';
+import { tokenize, tokenSpans } from './text-analysis.js';
+
+const SEARCH_FIELDS = ['depth', 'tag', 'source', 'mood', 'before', 'after', 'resonance'];
+
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+function lex(query) {
+  const tokens = [];
+  // A leading "-" negates a word, a phrase or a group: -fear -"bad day" -(work OR money)
+  const pattern = /\s*(?:(\))|(-)?(?:(\()|"([^"]*)("?)|([^\s()"]+)))/gy;
+  let match;
+
+  while (pattern.lastIndex < query.length && (match = pattern.exec(query))) {
+    const [, close, negation, open, phrase, closingQuote, word] = match;
+
+    if (close) {
+      tokens.push({ type: 'close' });
+      continue;
+    }
+    if (negation) tokens.push({ type: 'not' });
+
+    if (open) tokens.push({ type: 'open' });
+    else if (phrase !== undefined) {
+      if (!closingQuote) throw new SearchQueryError('Unterminated phrase: missing closing quote');
+      tokens.push({ type: 'phrase', value: phrase });
+    } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word.toLowerCase() });
+    } else {
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+function parseField(name, value) {
+  const field = name.toLowerCase();
+
+  switch (field) {
+    case 'depth':
+      if (!REFLECTION_DEPTHS.includes(value)) {
+        throw new SearchQueryError(`depth: expects one of ${REFLECTION_DEPTHS.join(', ')}`);
+      }
+      return { type: 'field', field, value };
+    case 'source':
+      if (!REFLECTION_SOURCES.includes(value)) {
+        throw new SearchQueryError(`source: expects one of ${REFLECTION_SOURCES.join(', ')}`);
+      }
+      return { type: 'field', field, value };
+    case 'tag':
+    case 'mood':
+      return { type: 'field', field, value: value.toLowerCase() };
+    case 'before':
+    case 'after':
+      if (Number.isNaN(Date.parse(value))) {
+        throw new SearchQueryError(`${field}: expects a date such as 2024-01-31`);
+      }
+      return { type: 'field', field, value: new Date(value) };
+    case 'resonance': {
+      const minimum = Number(value);
+      if (value === '' || Number.isNaN(minimum)) {
+        throw new SearchQueryError('resonance: expects a number such as 0.5');
+      }
+      return { type: 'field', field, value: minimum };
+    }
+    default:
+      throw new SearchQueryError(`Unknown search field "${name}:" (expected ${SEARCH_FIELDS.join(', ')})`);
+  }
+}
+
+// A bare word can hold several tokens ("self-doubt"); those are matched as a phrase
+function textNode(type, text) {
+  const words = tokenize(text);
+  if (words.length === 0) return null;
+  if (type === 'word' && words.length === 1) return { type: 'term', word: words[0] };
+  return { type: 'phrase', words };
+}
+
+// or  := and (OR and)*
+// and := not ([AND] not)*
+// not := NOT not | primary
+function parseSearchQuery(query) {
+  const tokens = lex(String(query ?? ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) throw new SearchQueryError('Query ends where a search term was expected');
+
+    switch (token.type) {
+      case 'open': {
+        const node = parseOr();
+        if (next()?.type !== 'close') throw new SearchQueryError('Missing closing parenthesis');
+        return node;
+      }
+      case 'phrase':
+        return textNode('phrase', token.value);
+      case 'word': {
+        // Only known fields; "10:30" or "http://…" are searched as text
+        const separator = token.value.indexOf(':');
+        const name = token.value.slice(0, separator).toLowerCase();
+        if (separator > 0 && separator < token.value.length - 1 && SEARCH_FIELDS.includes(name)) {
+          return parseField(name, token.value.slice(separator + 1));
+        }
+        return textNode('word', token.value);
+      }
+      default:
+        throw new SearchQueryError(`Unexpected ${token.type.toUpperCase()}`);
+    }
+  }
+
+  function parseNot() {
+    if (peek()?.type === 'not') {
+      next();
+      const child = parseNot();
+      return child ? { type: 'not', child } : null;
+    }
+    return parsePrimary();
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+      if (peek().type === 'and') next();
+      children.push(parseNot());
+    }
+    return combine('and', children);
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      next();
+      children.push(parseAnd());
+    }
+    return combine('or', children);
+  }
+
+  if (tokens.length === 0) return null;
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new SearchQueryError(`Unexpected ${peek().type === 'close' ? ')' : peek().type.toUpperCase()}`);
+  }
+  return tree;
+}
+
+// Drops empty nodes (punctuation-only words) and collapses single children
+function combine(type, children) {
+  const kept = children.filter(Boolean);
+  if (kept.length === 0) return null;
+  return kept.length === 1 ? kept[0] : { type, children: kept };
+}
+
+// Terms and phrases that count towards a match, i.e. not under a NOT
+function positiveTerms(node, terms = { words: [], phrases: [] }) {
+  if (!node) return terms;
+
+  switch (node.type) {
+    case 'term':
+      terms.words.push(node.word);
+      break;
+    case 'phrase':
+      terms.phrases.push(node.words);
+      break;
+    case 'and':
+    case 'or':
+      node.children.forEach(child => positiveTerms(child, terms));
+      break;
+  }
+  return terms;
+}
+
+// Cut a window of the text around the first highlighted token and wrap
+// every highlighted token in **bold**
+function buildSnippet(text, isHighlighted, { radius = 80 } = {}) {
+  const spans = tokenSpans(text);
+  // Neighbouring highlights ("blank canvas") become one bold run
+  const highlighted = [];
+  spans.forEach((span, index) => {
+    if (!isHighlighted(span, index, spans)) return;
+    const previous = highlighted[highlighted.length - 1];
+    if (previous && previous.lastIndex === index - 1 && /^\s+$/.test(text.slice(previous.end, span.start))) {
+      previous.end = span.end;
+      previous.lastIndex = index;
+    } else {
+      highlighted.push({ start: span.start, end: span.end, lastIndex: index });
+    }
+  });
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > radius * 2) {
+    const anchor = highlighted.length > 0 ? highlighted[0].start : 0;
+    start = Math.max(0, anchor - radius);
+    end = Math.min(text.length, start + radius * 2);
+    // Never cut through a word
+    const first = spans.find(span => span.end > start);
+    if (first && first.start < start) start = first.start;
+    const last = [...spans].reverse().find(span => span.start < end);
+    if (last && last.end > end) end = last.end;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const span of highlighted) {
+    if (span.start < start || span.end > end) continue;
+    snippet += `${text.slice(cursor, span.start)}**${text.slice(span.start, span.end)}**`;
+    cursor = span.end;
+  }
+  snippet += text.slice(cursor, end);
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+}
+
+export {
+  SEARCH_FIELDS,
+  SearchQueryError,
+  parseSearchQuery,
+  positiveTerms,
+  buildSnippet
+};
@@ -0,0 +1,54 @@
+import { createHash } from 'crypto';
+import { tokenize } from '../text-analysis.js';
+
+// Offline default: character n-gram hashing vectors.
+// Each word is padded and cut into overlapping n-grams that are hashed
+// into a fixed number of buckets, so related word forms ("create",
+// "creating", "creativity") land on many of the same buckets.
+// It only sees spelling: synonyms share no n-grams, so matching meaning
+// needs word vectors.
+class HashingVectorProvider {
+  constructor({ dimensions = 256, minGram = 3, maxGram = 4 } = {}) {
+    this.dimensions = dimensions;
+    this.minGram = minGram;
+    this.maxGram = maxGram;
+    this.id = `ngram-hash-v1-${dimensions}-${minGram}${maxGram}`;
+    this.bucketCache = new Map();
+  }
+
+  async initialize() {}
+
+  bucket(gram) {
+    if (!this.bucketCache.has(gram)) {
+      const digest = createHash('md5').update(gram).digest();
+      // The top bit of the second word picks the sign, which keeps collisions from only adding up
+      const index = digest.readUInt32LE(0) % this.dimensions;
+      const sign = digest.readUInt32LE(4) & 0x80000000 ? -1 : 1;
+      this.bucketCache.set(gram, { index, sign });
+    }
+    return this.bucketCache.get(gram);
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const word of tokenize(text)) {
+      const padded = `<${word}>`;
+      for (let n = this.minGram; n <= this.maxGram; n++) {
+        for (let i = 0; i + n <= padded.length; i++) {
+          const { index, sign } = this.bucket(padded.slice(i, i + n));
+          vector[index] += sign;
+        }
+      }
+    }
+
+    return normalize(vector);
+  }
+}
+
+function normalize(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+}
+
+export { HashingVectorProvider, normalize };
@@ -0,0 +1,27 @@
+import { HashingVectorProvider } from './hashing-provider.js';
+import { WordVectorProvider } from './word-vector-provider.js';
+
+// A similarity provider turns text into a normalized vector:
+//   id, initialize(), embed(text) -> number[]
+// The id is stored with every vector so stale vectors can be recomputed
+// when the provider changes.
+const SIMILARITY_MODES = ['lexical', 'semantic', 'hybrid'];
+
+function createSimilarityProvider(options = {}) {
+  if (options.wordVectorsPath) {
+    return new WordVectorProvider({ path: options.wordVectorsPath });
+  }
+  return new HashingVectorProvider(options);
+}
+
+function cosineSimilarity(vector1, vector2) {
+  // Provider vectors are already normalized
+  let dotProduct = 0;
+  const length = Math.min(vector1.length, vector2.length);
+  for (let i = 0; i < length; i++) {
+    dotProduct += vector1[i] * vector2[i];
+  }
+  return Math.max(0, dotProduct);
+}
+
+export { SIMILARITY_MODES, createSimilarityProvider, cosineSimilarity };
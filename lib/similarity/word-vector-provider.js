@@ -0,0 +1,58 @@
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+import { tokenize } from '../text-analysis.js';
+import { normalize } from './hashing-provider.js';
+
+// Static word vectors loaded from a local text file in the common
+// GloVe / word2vec text layout: one "word v1 v2 ... vn" per line.
+// A thought's vector is the average of the vectors of its known words.
+class WordVectorProvider {
+  constructor({ path }) {
+    if (!path) {
+      throw new Error('WordVectorProvider needs the path to a word vectors file');
+    }
+    this.path = path;
+    this.vectors = new Map();
+    this.dimensions = 0;
+    this.id = null;
+  }
+
+  async initialize() {
+    const content = await readFile(this.path, 'utf8');
+
+    for (const line of content.split('\n')) {
+      const parts = line.trim().split(/\s+/);
+      // word2vec text files start with a "count dimensions" header
+      if (parts.length < 3) continue;
+
+      const [word, ...values] = parts;
+      const vector = values.map(Number);
+      if (vector.some(Number.isNaN)) continue;
+
+      if (this.dimensions === 0) this.dimensions = vector.length;
+      if (vector.length === this.dimensions) {
+        this.vectors.set(word.toLowerCase(), vector);
+      }
+    }
+
+    if (this.vectors.size === 0) {
+      throw new Error(`No word vectors could be read from ${this.path}`);
+    }
+
+    this.id = `word-vectors-${basename(this.path)}-${this.dimensions}`;
+  }
+
+  embed(text) {
+    const sum = new Array(this.dimensions).fill(0);
+
+    for (const word of tokenize(text)) {
+      const vector = this.vectors.get(word);
+      if (!vector) continue;
+      for (let i = 0; i < this.dimensions; i++) sum[i] += vector[i];
+    }
+
+    return normalize(sum);
+  }
+}
+
+export { WordVectorProvider };
@@ -0,0 +1,78 @@
+import { randomBytes } from 'crypto';
+import { open, readdir, rename, rm } from 'fs/promises';
+import { join } from 'path';
+
+// Files the storage backends own; anything else in the directory is left alone
+const ARCHIVE_FILE = /\.json$|^reflections\.jsonl$|^mirrorpool\.db$/;
+
+// Leftovers of an interrupted write, compaction or stale-lock recovery
+const TEMPORARY_FILE = /\.(tmp|compact|stale)$/;
+
+// Write through a uniquely named temp file that is flushed to disk and then
+// renamed over the target, so a reader or a crash only ever sees the old file
+// or the new one. The name is unique so two processes never share a temp file.
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  const handle = await open(tempPath, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function listArchiveFiles(storagePath) {
+  try {
+    return (await readdir(storagePath, { withFileTypes: true }))
+      .filter(entry => entry.isFile() && ARCHIVE_FILE.test(entry.name))
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Swap a fully written replacement in for the archive directory. Files that
+// are not part of the archive move across untouched; leftover temp files are
+// dropped. Both renames are atomic, so an interruption leaves either the old
+// archive or the new one whole.
+async function replaceArchiveDirectory(storagePath, replacementPath) {
+  const backupPath = `${storagePath}.replaced`;
+  await rm(backupPath, { recursive: true, force: true });
+
+  let existing = [];
+  try {
+    existing = await readdir(storagePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const carried = new Set(await readdir(replacementPath));
+  for (const name of existing) {
+    if (!ARCHIVE_FILE.test(name) && !TEMPORARY_FILE.test(name) && !carried.has(name)) {
+      await rename(join(storagePath, name), join(replacementPath, name));
+    }
+  }
+
+  if (existing.length > 0) await rename(storagePath, backupPath);
+  else await rm(storagePath, { recursive: true, force: true });
+  await rename(replacementPath, storagePath);
+  await rm(backupPath, { recursive: true, force: true });
+}
+
+export {
+  ARCHIVE_FILE,
+  TEMPORARY_FILE,
+  writeFileAtomic,
+  listArchiveFiles,
+  replaceArchiveDirectory
+};
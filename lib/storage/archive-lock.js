@@ -0,0 +1,206 @@
+import { randomBytes } from 'crypto';
+import { open, mkdir, readFile, rename, unlink, link, stat, utimes } from 'fs/promises';
+import { hostname } from 'os';
+import { join } from 'path';
+import { writeFileAtomic } from './archive-files.js';
+
+// Advisory lock shared by every process using the same archive, e.g. a
+// desktop app and an editor each running MirrorPool on one reflections_path.
+//
+//   mirrorpool.lock      exists while a process is writing; names its owner
+//   mirrorpool.revision  changes after every locked write, so others know to reload
+const LOCK_FILE = 'mirrorpool.lock';
+const REVISION_FILE = 'mirrorpool.revision';
+
+class ArchiveLockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveLockError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+class ArchiveLock {
+  constructor(storagePath, { timeout = 10000, staleAfter = 30000, retryInterval = 50 } = {}) {
+    this.storagePath = storagePath;
+    this.lockPath = join(storagePath, LOCK_FILE);
+    this.revisionPath = join(storagePath, REVISION_FILE);
+    this.timeout = timeout;
+    this.staleAfter = staleAfter;
+    this.retryInterval = retryInterval;
+
+    // The revision this process last loaded or wrote
+    this.revision = null;
+    this.token = null;
+    this.heartbeat = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Run tasks of this process one at a time, so they never wait on their own lock
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  withLock(task) {
+    return this.enqueue(async () => {
+      await this.acquire();
+      try {
+        return await task();
+      } finally {
+        await this.release();
+      }
+    });
+  }
+
+  async acquire() {
+    const token = randomBytes(8).toString('hex');
+    const owner = JSON.stringify({
+      pid: process.pid,
+      host: hostname(),
+      token,
+      acquiredAt: new Date().toISOString()
+    });
+    const deadline = Date.now() + this.timeout;
+    await mkdir(this.storagePath, { recursive: true });
+
+    for (;;) {
+      try {
+        const handle = await open(this.lockPath, 'wx');
+        try {
+          await handle.writeFile(owner);
+        } finally {
+          await handle.close();
+        }
+        this.token = token;
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      if (await this.clearStaleLock()) continue;
+      if (Date.now() > deadline) {
+        const holder = await this.readOwner(this.lockPath);
+        throw new ArchiveLockError(
+          `The archive at ${this.storagePath} is locked by process ${holder?.pid ?? 'unknown'}` +
+          `${holder?.host ? ` on ${holder.host}` : ''}; gave up after ${this.timeout} ms`
+        );
+      }
+      await sleep(this.retryInterval);
+    }
+
+    // Long writes (an import, a reindex) keep the lock fresh so nobody takes it as stale
+    this.heartbeat = setInterval(() => {
+      const now = new Date();
+      utimes(this.lockPath, now, now).catch(() => {});
+    }, this.staleAfter / 3);
+    this.heartbeat.unref();
+  }
+
+  async release() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    // Only remove the lock if it is still ours
+    const holder = await this.readOwner(this.lockPath);
+    if (holder?.token === this.token) {
+      await unlink(this.lockPath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    this.token = null;
+  }
+
+  async readOwner(path) {
+    let content;
+    let info;
+    try {
+      [content, info] = await Promise.all([readFile(path, 'utf8'), stat(path)]);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    // An empty or half-written file is judged by its age alone
+    let owner = {};
+    try {
+      owner = JSON.parse(content);
+    } catch (error) {
+      owner = {};
+    }
+    return { ...owner, modifiedAt: info.mtimeMs };
+  }
+
+  isStale(holder) {
+    if (holder.host === hostname() && Number.isInteger(holder.pid) && !isProcessAlive(holder.pid)) {
+      return true;
+    }
+    return Date.now() - holder.modifiedAt > this.staleAfter;
+  }
+
+  // Remove a lock left by a crashed process. Returns true when it is worth
+  // trying to acquire again straight away.
+  async clearStaleLock() {
+    const holder = await this.readOwner(this.lockPath);
+    if (!holder) return true;
+    if (!this.isStale(holder)) return false;
+
+    // Move the lock aside before deleting it. If another process replaced
+    // the stale lock in the meantime, what we moved is theirs: put it back.
+    const asidePath = `${this.lockPath}.${randomBytes(4).toString('hex')}.stale`;
+    try {
+      await rename(this.lockPath, asidePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+
+    const moved = await this.readOwner(asidePath);
+    if (moved?.token !== holder.token) {
+      await link(asidePath, this.lockPath).catch(() => {});
+    }
+    await unlink(asidePath);
+    return true;
+  }
+
+  async readRevision() {
+    try {
+      return (await readFile(this.revisionPath, 'utf8')).trim();
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Remember the revision about to be loaded. Reading it before the data
+  // means a write that lands in between shows up as a change later.
+  async checkpoint() {
+    this.revision = await this.readRevision();
+  }
+
+  async hasChanged() {
+    return (await this.readRevision()) !== this.revision;
+  }
+
+  // Record a write made under the lock, so other processes reload
+  async commit() {
+    this.revision = `${Date.now().toString(36)}-${randomBytes(6).toString('hex')}`;
+    await writeFileAtomic(this.revisionPath, this.revision);
+  }
+}
+
+export { LOCK_FILE, REVISION_FILE, ArchiveLockError, ArchiveLock };
@@ -0,0 +1,96 @@
+import { readFile, mkdir, readdir, unlink } from 'fs/promises';
+import { join } from 'path';
+import { ENCRYPTION_FILE, EncryptionError, openArchiveCipher, sealText, openText } from './encryption.js';
+import { writeFileAtomic } from './archive-files.js';
+
+const CONNECTIONS_FILE = 'connections.json';
+
+// One pretty-printed JSON file per reflection, plus a connections file.
+// This is the original MirrorPool layout and stays the default.
+class DirectoryStore {
+  constructor(storagePath, options = {}) {
+    this.type = 'directory';
+    this.storagePath = storagePath;
+    this.passphrase = options.passphrase || null;
+    this.cipher = null;
+  }
+
+  async open() {
+    await mkdir(this.storagePath, { recursive: true });
+    this.cipher = await openArchiveCipher(this.storagePath, this.passphrase);
+  }
+
+  async readJson(file) {
+    const content = await readFile(join(this.storagePath, file), 'utf8');
+    return JSON.parse(openText(this.cipher, content, file));
+  }
+
+  async writeJson(file, data) {
+    await writeFileAtomic(join(this.storagePath, file), sealText(this.cipher, JSON.stringify(data, null, 2)));
+  }
+
+  async load() {
+    const result = { records: [], errors: [], connections: null };
+
+    let files;
+    try {
+      files = (await readdir(this.storagePath))
+        .filter(file => file.endsWith('.json') && file !== CONNECTIONS_FILE && file !== ENCRYPTION_FILE);
+    } catch (error) {
+      if (error.code === 'ENOENT') return result;
+      throw error;
+    }
+
+    for (const file of files.sort()) {
+      try {
+        result.records.push({ source: file, data: await this.readJson(file) });
+      } catch (error) {
+        // A file under the wrong key means a mixed archive, never a skippable record
+        if (error instanceof EncryptionError) throw error;
+        result.errors.push({ source: file, error: error.message });
+      }
+    }
+
+    try {
+      result.connections = await this.readJson(CONNECTIONS_FILE);
+    } catch (error) {
+      if (error instanceof EncryptionError) throw error;
+      if (error.code !== 'ENOENT') {
+        result.errors.push({ source: CONNECTIONS_FILE, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  async putReflection(reflection) {
+    await this.writeJson(`${reflection.id}.json`, reflection);
+  }
+
+  async putReflections(reflections) {
+    for (const reflection of reflections) {
+      await this.putReflection(reflection);
+    }
+  }
+
+  async deleteReflection(id) {
+    try {
+      await unlink(join(this.storagePath, `${id}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async putConnections(edges) {
+    await this.writeJson(CONNECTIONS_FILE, edges);
+  }
+
+  async compact() {
+    // Nothing accumulates in this layout
+    return { before: null, after: null };
+  }
+
+  async close() {}
+}
+
+export { CONNECTIONS_FILE, DirectoryStore };
@@ -0,0 +1,123 @@
+import { readFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { openArchiveCipher, sealText, openText } from './encryption.js';
+import { writeFileAtomic } from './archive-files.js';
+
+const DATABASE_FILE = 'mirrorpool.db';
+const DATABASE_FORMAT = 'mirrorpool-embedded';
+const DATABASE_VERSION = 1;
+
+// The whole archive in a single file, held in memory and rewritten
+// through a temp file on change. Queued writes collapse into one.
+class EmbeddedStore {
+  constructor(storagePath, options = {}) {
+    this.type = 'embedded';
+    this.storagePath = storagePath;
+    this.databasePath = join(storagePath, DATABASE_FILE);
+    this.passphrase = options.passphrase || null;
+    this.cipher = null;
+    this.data = this.emptyDatabase();
+    // Changes made and changes on disk; they differ while a write is pending
+    // or after one failed, so the next flush writes them
+    this.changes = 0;
+    this.savedChanges = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  emptyDatabase() {
+    return {
+      format: DATABASE_FORMAT,
+      version: DATABASE_VERSION,
+      reflections: {},
+      connections: null
+    };
+  }
+
+  async open() {
+    await mkdir(this.storagePath, { recursive: true });
+    this.cipher = await openArchiveCipher(this.storagePath, this.passphrase);
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await readFile(this.databasePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = this.emptyDatabase();
+      return { records: [], errors: [], connections: null };
+    }
+
+    // A damaged database cannot be partially skipped; refuse rather than overwrite it
+    let data;
+    content = openText(this.cipher, content, DATABASE_FILE);
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Embedded database ${this.databasePath} is corrupt: ${error.message}`);
+    }
+    if (data.format !== DATABASE_FORMAT) {
+      throw new Error(`${this.databasePath} is not a MirrorPool embedded database`);
+    }
+    if (data.version > DATABASE_VERSION) {
+      throw new Error(`Embedded database version ${data.version} is newer than supported version ${DATABASE_VERSION}`);
+    }
+
+    this.data = { ...this.emptyDatabase(), ...data };
+
+    return {
+      records: Object.entries(this.data.reflections)
+        .map(([id, reflection]) => ({ source: `${DATABASE_FILE}#${id}`, data: reflection })),
+      errors: [],
+      connections: this.data.connections
+    };
+  }
+
+  async putReflection(reflection) {
+    this.data.reflections[reflection.id] = reflection;
+    await this.flush();
+  }
+
+  async putReflections(reflections) {
+    for (const reflection of reflections) {
+      this.data.reflections[reflection.id] = reflection;
+    }
+    await this.flush();
+  }
+
+  async deleteReflection(id) {
+    delete this.data.reflections[id];
+    await this.flush();
+  }
+
+  async putConnections(edges) {
+    this.data.connections = edges;
+    await this.flush();
+  }
+
+  // Writes queued behind one another collapse into one; a failed write
+  // rejects its callers but leaves the queue working for the next one
+  flush() {
+    this.changes++;
+    const run = this.writeQueue.then(async () => {
+      if (this.savedChanges === this.changes) return;
+      const changes = this.changes;
+
+      await writeFileAtomic(this.databasePath, sealText(this.cipher, JSON.stringify(this.data)));
+      this.savedChanges = changes;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async compact() {
+    // The file is rewritten whole on every change, so it never holds dead data
+    return { before: null, after: null };
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+export { EmbeddedStore };
@@ -0,0 +1,176 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import { ARCHIVE_FILE, writeFileAtomic } from './archive-files.js';
+
+// Optional encryption at rest. Every file or log line a backend persists is
+// sealed with AES-256-GCM under one archive key, derived from a passphrase
+// with scrypt. The salt and a key check live in encryption.json; nothing in
+// it reveals the key.
+//
+//   sealed text: mpenc:v1:<keyId>:<base64 of iv | auth tag | ciphertext>
+const ENCRYPTION_FILE = 'encryption.json';
+const ENCRYPTION_FORMAT = 'mirrorpool-encryption';
+const ENCRYPTION_VERSION = 1;
+const SEALED_PREFIX = 'mpenc:v1:';
+const KEY_CHECK = 'mirrorpool-key-check';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+class ArchiveCipher {
+  constructor(key, keyId) {
+    this.key = key;
+    this.keyId = keyId;
+  }
+
+  seal(text) {
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv('aes-256-gcm', this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    return `${SEALED_PREFIX}${this.keyId}:${payload}`;
+  }
+
+  open(sealed, source = 'data') {
+    const rest = sealed.trim().slice(SEALED_PREFIX.length);
+    const separator = rest.indexOf(':');
+    const keyId = rest.slice(0, separator);
+    if (keyId !== this.keyId) {
+      throw new EncryptionError(
+        `${source} was encrypted with another key (${keyId}); refusing to load a mixed archive`
+      );
+    }
+
+    const payload = Buffer.from(rest.slice(separator + 1), 'base64');
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', this.key, payload.subarray(0, IV_LENGTH));
+      decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      return Buffer.concat([
+        decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new EncryptionError(`${source} failed authentication: it is damaged or was tampered with`);
+    }
+  }
+}
+
+function isSealed(text) {
+  return text.trimStart().startsWith(SEALED_PREFIX);
+}
+
+function deriveKey(passphrase, salt, params) {
+  return scryptSync(passphrase, salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 });
+}
+
+async function readHeader(storagePath) {
+  try {
+    return JSON.parse(await readFile(join(storagePath, ENCRYPTION_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new EncryptionError(`${ENCRYPTION_FILE} is unreadable: ${error.message}`);
+  }
+}
+
+async function hasArchiveFiles(storagePath) {
+  try {
+    return (await readdir(storagePath)).some(name => name !== ENCRYPTION_FILE && ARCHIVE_FILE.test(name));
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// Resolve the cipher for an archive before anything is read or written.
+// Returns null for a plaintext archive opened without a passphrase. Refuses a
+// wrong passphrase, an encrypted archive without one, and a passphrase on an
+// archive that already holds plaintext (convert it with `mirrorpool-cli encrypt`).
+async function openArchiveCipher(storagePath, passphrase) {
+  const header = await readHeader(storagePath);
+
+  if (!passphrase) {
+    if (header) {
+      throw new EncryptionError(
+        `The archive at ${storagePath} is encrypted; set MIRRORPOOL_PASSPHRASE or encryption_passphrase`
+      );
+    }
+    return null;
+  }
+
+  if (!header) {
+    if (await hasArchiveFiles(storagePath)) {
+      throw new EncryptionError(
+        `The archive at ${storagePath} is not encrypted; run "mirrorpool-cli encrypt" before setting a passphrase`
+      );
+    }
+    return createArchiveHeader(storagePath, passphrase);
+  }
+
+  if (header.format !== ENCRYPTION_FORMAT || header.version > ENCRYPTION_VERSION) {
+    throw new EncryptionError(`${ENCRYPTION_FILE} is not a supported MirrorPool encryption header`);
+  }
+
+  const key = deriveKey(passphrase, Buffer.from(header.kdf.salt, 'base64'), header.kdf.params);
+  const cipher = new ArchiveCipher(key, header.keyId);
+  let check;
+  try {
+    check = cipher.open(header.check, ENCRYPTION_FILE);
+  } catch (error) {
+    check = null;
+  }
+  if (check !== KEY_CHECK) {
+    throw new EncryptionError(`Wrong passphrase for the encrypted archive at ${storagePath}`);
+  }
+  return cipher;
+}
+
+async function createArchiveHeader(storagePath, passphrase) {
+  const salt = randomBytes(16);
+  const cipher = new ArchiveCipher(deriveKey(passphrase, salt, SCRYPT_PARAMS), randomBytes(4).toString('hex'));
+
+  const header = {
+    format: ENCRYPTION_FORMAT,
+    version: ENCRYPTION_VERSION,
+    cipher: 'aes-256-gcm',
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), params: SCRYPT_PARAMS },
+    keyId: cipher.keyId,
+    check: cipher.seal(KEY_CHECK),
+    createdAt: new Date().toISOString()
+  };
+  await writeFileAtomic(join(storagePath, ENCRYPTION_FILE), JSON.stringify(header, null, 2));
+  return cipher;
+}
+
+// What backends call on every write and read
+function sealText(cipher, text) {
+  return cipher ? cipher.seal(text) : text;
+}
+
+function openText(cipher, text, source) {
+  const sealed = isSealed(text);
+  if (cipher && !sealed) {
+    throw new EncryptionError(`${source} is not encrypted but the archive is; refusing to load a mixed archive`);
+  }
+  if (!cipher && sealed) {
+    throw new EncryptionError(`${source} is encrypted but the archive has no ${ENCRYPTION_FILE}`);
+  }
+  return cipher ? cipher.open(text, source) : text;
+}
+
+export {
+  ENCRYPTION_FILE,
+  EncryptionError,
+  ArchiveCipher,
+  isSealed,
+  openArchiveCipher,
+  sealText,
+  openText
+};
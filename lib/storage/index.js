@@ -0,0 +1,107 @@
+import { DirectoryStore } from './directory-store.js';
+import { JsonlStore } from './jsonl-store.js';
+import { EmbeddedStore } from './embedded-store.js';
+import { replaceArchiveDirectory } from './archive-files.js';
+import { rm } from 'fs/promises';
+
+// Every backend implements the same interface:
+//   open(), load() -> { records, errors, connections }, putReflection(reflection),
+//   putReflections(reflections), deleteReflection(id), putConnections(edges),
+//   compact(), close()
+// Pass { passphrase } in the options to read and write an encrypted archive.
+const STORAGE_BACKENDS = {
+  directory: DirectoryStore,
+  jsonl: JsonlStore,
+  embedded: EmbeddedStore
+};
+
+function createStorage(backend = 'directory', storagePath = 'reflections', options = {}) {
+  const Store = STORAGE_BACKENDS[backend];
+  if (!Store) {
+    throw new Error(`Unknown storage backend: ${backend} (expected ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+  return new Store(storagePath, options);
+}
+
+// Copy every readable record and the connection graph from one backend to another,
+// then read the target back to make sure nothing was lost. A failure names the
+// target, which may hold a partial copy.
+async function migrateStorage(source, target) {
+  try {
+    return await copyArchive(source, target);
+  } catch (error) {
+    throw new Error(
+      `Migration to the ${target.type} archive at ${target.storagePath} failed and may have left a partial copy there; ` +
+      `the ${source.type} archive is unchanged: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+// Both stores are closed whether the copy succeeds or not
+async function copyArchive(source, target) {
+  try {
+    await source.open();
+    await target.open();
+
+    const { records, errors, connections } = await source.load();
+    const skipped = [...errors];
+
+    const reflections = [];
+    for (const { source: origin, data } of records) {
+      if (data && typeof data.id === 'string') {
+        reflections.push(data);
+      } else {
+        skipped.push({ source: origin, error: 'record has no reflection id' });
+      }
+    }
+
+    await target.putReflections(reflections);
+    if (connections) {
+      await target.putConnections(connections);
+    }
+
+    const written = await target.load();
+    const writtenIds = new Set(written.records.map(record => record.data.id));
+    const missing = reflections.filter(reflection => !writtenIds.has(reflection.id));
+    if (missing.length > 0) {
+      throw new Error(`Migration lost ${missing.length} reflections: ${missing.map(r => r.id).join(', ')}`);
+    }
+
+    return {
+      from: source.type,
+      to: target.type,
+      migrated: reflections.length,
+      connections: connections ? connections.length : 0,
+      skipped
+    };
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+// Re-encrypt an archive under a new passphrase, or encrypt or decrypt it
+// (a null passphrase means plaintext). The new archive is written and verified
+// beside the old one, then swapped in, so a failure never leaves a mix of keys.
+async function rekeyArchive(backend, storagePath, { fromPassphrase = null, toPassphrase = null } = {}) {
+  const tempPath = `${storagePath}.rekey`;
+  await rm(tempPath, { recursive: true, force: true });
+
+  let report;
+  try {
+    report = await copyArchive(
+      createStorage(backend, storagePath, { passphrase: fromPassphrase }),
+      createStorage(backend, tempPath, { passphrase: toPassphrase })
+    );
+  } catch (error) {
+    await rm(tempPath, { recursive: true, force: true });
+    throw error;
+  }
+
+  await replaceArchiveDirectory(storagePath, tempPath);
+
+  return { ...report, encrypted: Boolean(toPassphrase) };
+}
+
+export { STORAGE_BACKENDS, createStorage, migrateStorage, rekeyArchive };
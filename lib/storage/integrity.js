@@ -0,0 +1,124 @@
+import { readdir } from 'fs/promises';
+import { createStorage } from './index.js';
+import { ARCHIVE_FILE, TEMPORARY_FILE } from './archive-files.js';
+import { ENCRYPTION_FILE } from './encryption.js';
+import { readSnapshot } from './snapshot.js';
+import { normalizeReflection } from '../reflection-schema.js';
+
+// The file each backend keeps its data in
+const BACKEND_FILES = {
+  directory: name => name.endsWith('.json') && name !== ENCRYPTION_FILE,
+  jsonl: name => name === 'reflections.jsonl',
+  embedded: name => name === 'mirrorpool.db'
+};
+
+// Read the archive the way the engine would, without repairing anything,
+// and report what is wrong with it:
+//   corrupted      files, log lines or records that cannot be read or fail the schema
+//   missing        a directory or a connection graph that was never saved, or
+//                  reflections that a mirror points at
+//   orphaned       files no reflection accounts for: temp files, misnamed or foreign files
+//   danglingEdges  connections to reflections that do not exist
+// Only these make the report fail. compareWith names a snapshot to list the
+// files removed since it was taken, under sinceSnapshot.
+async function verifyArchive(backend, storagePath, { passphrase = null, compareWith = null } = {}) {
+  const report = {
+    ok: false,
+    backend,
+    path: storagePath,
+    checked: { reflections: 0, connections: 0, files: 0 },
+    corrupted: [],
+    missing: [],
+    orphaned: [],
+    danglingEdges: []
+  };
+
+  let names;
+  try {
+    names = await readdir(storagePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    report.missing.push({ source: storagePath, reason: 'the archive directory does not exist' });
+    return report;
+  }
+
+  const storage = createStorage(backend, storagePath, { passphrase });
+  let loaded;
+  try {
+    await storage.open();
+    loaded = await storage.load();
+  } catch (error) {
+    // A wrong key or a mixed archive makes the whole archive unreadable
+    report.corrupted.push({ source: storagePath, error: error.message });
+    return report;
+  } finally {
+    await storage.close();
+  }
+
+  const { records, errors, connections } = loaded;
+  report.corrupted.push(...errors);
+
+  const ids = new Set();
+  const readable = [];
+  for (const { source, data } of records) {
+    try {
+      const reflection = normalizeReflection(data);
+      ids.add(reflection.id);
+      readable.push({ source, reflection });
+      if (backend === 'directory' && source !== `${reflection.id}.json`) {
+        report.orphaned.push({ source, reason: `holds reflection ${reflection.id} under another name` });
+      }
+    } catch (error) {
+      report.corrupted.push({ source, error: error.message });
+    }
+  }
+  report.checked.reflections = ids.size;
+
+  for (const { source, reflection } of readable) {
+    const absent = reflection.mirrors.map(mirror => mirror.id).filter(id => !ids.has(id));
+    if (absent.length > 0) {
+      report.missing.push({ source, reason: `mirrors reflections that do not exist: ${absent.join(', ')}` });
+    }
+  }
+
+  if (Array.isArray(connections)) {
+    report.checked.connections = connections.length;
+    for (const edge of connections) {
+      const absent = [edge.from, edge.to].filter(id => !ids.has(id));
+      if (absent.length > 0) {
+        report.danglingEdges.push({ from: edge.from, to: edge.to, missing: absent });
+      }
+    }
+  } else if (records.some(({ data }) => data?.mirrors?.length > 0)) {
+    report.missing.push({ source: 'connections', reason: 'reflections have mirrors but no connection graph was saved' });
+  }
+
+  report.checked.files = names.filter(name => ARCHIVE_FILE.test(name)).length;
+  for (const name of names) {
+    if (TEMPORARY_FILE.test(name)) {
+      report.orphaned.push({ source: name, reason: 'left over from an interrupted write' });
+      continue;
+    }
+    if (!ARCHIVE_FILE.test(name) || name === ENCRYPTION_FILE || BACKEND_FILES[backend]?.(name)) continue;
+
+    const owner = Object.keys(BACKEND_FILES).find(other => BACKEND_FILES[other](name));
+    report.orphaned.push({ source: name, reason: `belongs to the ${owner} backend, not ${backend}` });
+  }
+
+  // Only on request: which files of a chosen snapshot are gone since. Deleting
+  // a reflection is a normal change, so this never makes the archive fail.
+  if (compareWith) {
+    const { manifest } = await readSnapshot(compareWith);
+    const present = new Set(names);
+    report.sinceSnapshot = {
+      snapshot: compareWith,
+      createdAt: manifest.createdAt,
+      removed: manifest.files.map(({ path }) => path).filter(path => !present.has(path))
+    };
+  }
+
+  report.ok = ['corrupted', 'missing', 'orphaned', 'danglingEdges'].every(key => report[key].length === 0);
+  return report;
+}
+
+export { verifyArchive };
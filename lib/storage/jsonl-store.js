@@ -0,0 +1,260 @@
+import { readFile, mkdir, open } from 'fs/promises';
+import { join } from 'path';
+import { EncryptionError, openArchiveCipher, sealText, openText } from './encryption.js';
+import { writeFileAtomic } from './archive-files.js';
+
+const LOG_FILE = 'reflections.jsonl';
+
+// Append-only log of operations. Every save is a new line, so the log keeps
+// the full history of each reflection until it is compacted. In an encrypted
+// archive each line is sealed on its own.
+//
+//   { "op": "put", "at": ..., "reflection": {...} }
+//   { "op": "delete", "at": ..., "id": "..." }
+//   { "op": "link", "at": ..., "from": "...", "to": "...", "edge": {...} }
+//   { "op": "unlink", "at": ..., "from": "...", "to": "..." }
+class JsonlStore {
+  constructor(storagePath, options = {}) {
+    this.type = 'jsonl';
+    this.storagePath = storagePath;
+    this.logPath = join(storagePath, LOG_FILE);
+    this.compactionRatio = options.compactionRatio ?? 0.5;
+    this.minCompactionEntries = options.minCompactionEntries ?? 1000;
+    this.passphrase = options.passphrase || null;
+    this.cipher = null;
+
+    this.entryCount = 0;
+    this.liveIds = new Set();
+    this.edges = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async open() {
+    await mkdir(this.storagePath, { recursive: true });
+    this.cipher = await openArchiveCipher(this.storagePath, this.passphrase);
+  }
+
+  encodeEntry(entry) {
+    return sealText(this.cipher, JSON.stringify(entry));
+  }
+
+  decodeEntry(line, source) {
+    return JSON.parse(openText(this.cipher, line, source));
+  }
+
+  async readLog() {
+    try {
+      return (await readFile(this.logPath, 'utf8')).split('\n');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Replay the log into its live state
+  async replay() {
+    const state = {
+      reflections: new Map(),
+      edges: new Map(),
+      hasGraph: false,
+      errors: [],
+      entryCount: 0
+    };
+
+    const lines = await this.readLog();
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      state.entryCount++;
+
+      const source = `${LOG_FILE}:${index + 1}`;
+      let entry;
+      try {
+        entry = this.decodeEntry(line, source);
+      } catch (error) {
+        // A line under the wrong key means a mixed archive, never a skippable entry
+        if (error instanceof EncryptionError) throw error;
+        state.errors.push({ source, error: error.message });
+        return;
+      }
+
+      switch (entry.op) {
+        case 'put':
+          if (!entry.reflection || typeof entry.reflection.id !== 'string') {
+            state.errors.push({ source, error: 'put entry without a reflection id' });
+            return;
+          }
+          state.reflections.set(entry.reflection.id, { source, data: entry.reflection });
+          break;
+        case 'delete':
+          state.reflections.delete(entry.id);
+          break;
+        case 'link':
+          state.hasGraph = true;
+          state.edges.set(this.edgeKey(entry.from, entry.to), { from: entry.from, to: entry.to, ...entry.edge });
+          break;
+        case 'unlink':
+          state.hasGraph = true;
+          state.edges.delete(this.edgeKey(entry.from, entry.to));
+          break;
+        default:
+          state.errors.push({ source, error: `Unknown log operation: ${entry.op}` });
+      }
+    });
+
+    return state;
+  }
+
+  async load() {
+    const state = await this.replay();
+
+    this.entryCount = state.entryCount;
+    this.liveIds = new Set(state.reflections.keys());
+    this.edges = state.edges;
+
+    return {
+      records: [...state.reflections.values()],
+      errors: state.errors,
+      connections: state.hasGraph ? [...state.edges.values()] : null
+    };
+  }
+
+  // Every record a reflection has had, oldest first
+  async history(id) {
+    const history = [];
+    for (const [index, line] of (await this.readLog()).entries()) {
+      if (!line.trim()) continue;
+      try {
+        const entry = this.decodeEntry(line, `${LOG_FILE}:${index + 1}`);
+        if (entry.op === 'put' && entry.reflection?.id === id) {
+          history.push({ at: entry.at, reflection: entry.reflection });
+        } else if (entry.op === 'delete' && entry.id === id) {
+          history.push({ at: entry.at, deleted: true });
+        }
+      } catch (error) {
+        // Corrupt lines are reported by load()
+      }
+    }
+    return history;
+  }
+
+  async append(entries) {
+    if (entries.length === 0) return;
+
+    const at = new Date().toISOString();
+    const lines = entries.map(entry => this.encodeEntry({ op: entry.op, at, ...entry }) + '\n').join('');
+
+    // A failed append rejects this call only; later appends still run
+    const run = this.writeQueue.then(async () => {
+      await this.appendLines(lines);
+      this.entryCount += entries.length;
+    });
+    this.writeQueue = run.catch(() => {});
+    await run;
+
+    await this.maybeCompact();
+  }
+
+  // A line torn by a crash mid-append is closed off first, so it cannot
+  // swallow the entry written after it
+  async appendLines(lines) {
+    const handle = await open(this.logPath, 'a+');
+    try {
+      const { size } = await handle.stat();
+      if (size > 0) {
+        const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+        if (buffer[0] !== 0x0a) lines = '\n' + lines;
+      }
+      await handle.appendFile(lines);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async putReflection(reflection) {
+    await this.putReflections([reflection]);
+  }
+
+  async putReflections(reflections) {
+    reflections.forEach(reflection => this.liveIds.add(reflection.id));
+    await this.append(reflections.map(reflection => ({ op: 'put', reflection })));
+  }
+
+  async deleteReflection(id) {
+    this.liveIds.delete(id);
+    await this.append([{ op: 'delete', id }]);
+  }
+
+  async putConnections(edges) {
+    // Only changed edges are appended
+    const entries = [];
+    const next = new Map();
+
+    for (const { from, to, ...edge } of edges) {
+      const key = this.edgeKey(from, to);
+      next.set(key, { from, to, ...edge });
+
+      const previous = this.edges.get(key);
+      if (!previous || JSON.stringify(previous) !== JSON.stringify({ from, to, ...edge })) {
+        entries.push({ op: 'link', from, to, edge });
+      }
+    }
+
+    for (const [key, { from, to }] of this.edges) {
+      if (!next.has(key)) entries.push({ op: 'unlink', from, to });
+    }
+
+    this.edges = next;
+    await this.append(entries);
+  }
+
+  async maybeCompact() {
+    if (this.entryCount < this.minCompactionEntries) return;
+
+    const liveEntries = this.liveIds.size + this.edges.size;
+    if (liveEntries / this.entryCount < this.compactionRatio) {
+      await this.compact();
+    }
+  }
+
+  // Rewrite the log with only the live state, dropping superseded history.
+  // It takes its turn in the write queue, so no append can land in the old
+  // log between the replay and the rewrite.
+  compact() {
+    const run = this.writeQueue.then(() => this.compactNow());
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async compactNow() {
+    const state = await this.replay();
+
+    const lines = [];
+    const at = new Date().toISOString();
+    for (const { data } of state.reflections.values()) {
+      lines.push(this.encodeEntry({ op: 'put', at, reflection: data }));
+    }
+    for (const { from, to, ...edge } of state.edges.values()) {
+      lines.push(this.encodeEntry({ op: 'link', at, from, to, edge }));
+    }
+
+    await writeFileAtomic(this.logPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+
+    // liveIds and edges stay as they are: they already include writes
+    // queued behind this compaction
+    const before = state.entryCount;
+    this.entryCount = lines.length;
+
+    return { before, after: lines.length, dropped: state.errors.length };
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  edgeKey(from, to) {
+    return from < to ? `${from}|${to}` : `${to}|${from}`;
+  }
+}
+
+export { JsonlStore };
@@ -0,0 +1,149 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir, rm } from 'fs/promises';
+import { basename, dirname, join } from 'path';
+import { promisify } from 'util';
+import { gzip, gunzip } from 'zlib';
+import { listArchiveFiles, replaceArchiveDirectory, writeFileAtomic } from './archive-files.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+// A snapshot is one gzip-compressed JSON document holding every archive file
+// byte for byte (so an encrypted archive stays encrypted) and a manifest of
+// SHA-256 hashes that is checked before anything is restored.
+const SNAPSHOT_FORMAT = 'mirrorpool-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_EXTENSION = '.mpsnap';
+
+class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+// Snapshots live beside the archive, never inside it, so wiping the
+// archive directory does not take its backups along
+function defaultSnapshotDirectory(storagePath) {
+  return join(dirname(storagePath), `${basename(storagePath)}-snapshots`);
+}
+
+async function createSnapshot(storagePath, { outputPath = null, backend = null } = {}) {
+  const names = await listArchiveFiles(storagePath);
+  if (names.length === 0) {
+    throw new SnapshotError(`There is no archive to snapshot at ${storagePath}`);
+  }
+
+  const files = [];
+  const contents = {};
+  for (const name of names) {
+    const data = await readFile(join(storagePath, name));
+    files.push({ path: name, size: data.length, sha256: sha256(data) });
+    contents[name] = data.toString('base64');
+  }
+
+  const createdAt = new Date().toISOString();
+  const manifest = { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, createdAt, backend, files };
+  const compressed = await gzipAsync(JSON.stringify({ manifest, contents }));
+
+  const target = outputPath || join(
+    defaultSnapshotDirectory(storagePath),
+    `snapshot-${createdAt.replace(/[:.]/g, '-')}${SNAPSHOT_EXTENSION}`
+  );
+  await mkdir(dirname(target), { recursive: true });
+  await writeFileAtomic(target, compressed);
+
+  return {
+    path: target,
+    createdAt,
+    files: files.length,
+    bytes: files.reduce((total, file) => total + file.size, 0),
+    compressedBytes: compressed.length
+  };
+}
+
+// Read a snapshot and check every file against its manifest
+async function readSnapshot(snapshotPath) {
+  let document;
+  try {
+    document = JSON.parse((await gunzipAsync(await readFile(snapshotPath))).toString('utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new SnapshotError(`No snapshot at ${snapshotPath}`);
+    throw new SnapshotError(`${snapshotPath} is not a readable snapshot: ${error.message}`);
+  }
+
+  const { manifest, contents } = document || {};
+  if (manifest?.format !== SNAPSHOT_FORMAT || !Array.isArray(manifest.files) || !contents) {
+    throw new SnapshotError(`${snapshotPath} is not a MirrorPool snapshot`);
+  }
+  if (manifest.version > SNAPSHOT_VERSION) {
+    throw new SnapshotError(`Snapshot version ${manifest.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+  }
+
+  const files = new Map();
+  const problems = [];
+  for (const { path, sha256: expected } of manifest.files) {
+    if (typeof contents[path] !== 'string') {
+      problems.push(`${path} is missing`);
+      continue;
+    }
+    // Manifest paths are bare file names; anything else could escape the archive
+    if (path !== basename(path) || path.startsWith('.')) {
+      problems.push(`${path} is not a plain file name`);
+      continue;
+    }
+    const data = Buffer.from(contents[path], 'base64');
+    if (sha256(data) !== expected) {
+      problems.push(`${path} does not match its hash`);
+      continue;
+    }
+    files.set(path, data);
+  }
+  if (problems.length > 0) {
+    throw new SnapshotError(`Snapshot ${snapshotPath} is damaged: ${problems.join('; ')}`);
+  }
+
+  return { manifest, files };
+}
+
+// Replace the archive with a verified snapshot. The current archive is
+// snapshotted first, so a restore can itself be undone.
+async function restoreSnapshot(snapshotPath, storagePath, { backend = null } = {}) {
+  const { manifest, files } = await readSnapshot(snapshotPath);
+  if (backend && manifest.backend && manifest.backend !== backend) {
+    throw new SnapshotError(`Snapshot was taken from a ${manifest.backend} archive, not ${backend}`);
+  }
+
+  let safetySnapshot = null;
+  if ((await listArchiveFiles(storagePath)).length > 0) {
+    safetySnapshot = (await createSnapshot(storagePath, { backend: backend || manifest.backend })).path;
+  }
+
+  const tempPath = `${storagePath}.restore`;
+  await rm(tempPath, { recursive: true, force: true });
+  await mkdir(tempPath, { recursive: true });
+  for (const [path, data] of files) {
+    await writeFile(join(tempPath, path), data);
+  }
+  await replaceArchiveDirectory(storagePath, tempPath);
+
+  return {
+    restored: files.size,
+    snapshotCreatedAt: manifest.createdAt,
+    backend: manifest.backend,
+    safetySnapshot
+  };
+}
+
+export {
+  SNAPSHOT_EXTENSION,
+  SnapshotError,
+  defaultSnapshotDirectory,
+  createSnapshot,
+  readSnapshot,
+  restoreSnapshot
+};
@@ -0,0 +1,28 @@
+// Tokenization shared by indexing, similarity and keyword extraction.
+// Words are runs of letters or digits; punctuation never sticks to a word,
+// so "create?" and "create" are the same token.
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(WORD_PATTERN) || [])
+    .map(token => token.replace(/’/g, "'"));
+}
+
+// Tokens with their positions in the original text, for highlighting
+function tokenSpans(text) {
+  return [...text.matchAll(WORD_PATTERN)].map(match => ({
+    token: match[0].toLowerCase().replace(/’/g, "'"),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function termFrequencies(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+export { tokenize, tokenSpans, termFrequencies };
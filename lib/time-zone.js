@@ -0,0 +1,17 @@
+// Temporal patterns and exported journals read times on the clock of an IANA
+// time zone. A name Intl does not know is refused here with a message naming
+// it, rather than as a RangeError from wherever the first clock is built.
+function resolveTimeZone(timeZone = null) {
+  if (timeZone === null || timeZone === undefined || timeZone === '') {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone} (expected an IANA name such as Europe/Madrid)`);
+  }
+  return timeZone;
+}
+
+export { resolveTimeZone };
@@ -0,0 +1,192 @@
+// Time series and trend statistics behind pattern trajectories.
+//
+// A pattern's events are counted in equal stretches of time (buckets). When
+// the events can only happen as often as something else does, such as a
+// theme that can only appear in a reflection, each bucket's value is the
+// share of those opportunities it took, so writing more in one month does not
+// read as the theme rising. A least-squares line through the bucket values
+// gives the slope, and a t-test on that slope gives the confidence that the
+// pattern is really moving.
+
+const TRAJECTORY_DEFAULTS = {
+  // Most buckets a series is cut into; short series get fewer, never under three
+  maxBuckets: 8,
+  // Confidence a slope needs before the pattern counts as ascending or descending
+  minConfidence: 0.8,
+  // And how much it must change across the series, relative to its mean
+  minChange: 0.2,
+  // Share of the possible changes of direction an oscillating series takes
+  minTurns: 0.6
+};
+
+// Buckets of equal width over the span of opportunities, or of the events
+// themselves when there are none to compare with
+function bucketSeries(times, opportunities = null, maxBuckets = TRAJECTORY_DEFAULTS.maxBuckets) {
+  const events = times.map(time => new Date(time).getTime());
+  const base = opportunities ? opportunities.map(time => new Date(time).getTime()) : events;
+  if (base.length === 0) return [];
+
+  const start = Math.min(...base);
+  const end = Math.max(...base);
+  const count = end === start ? 1 : Math.max(3, Math.min(maxBuckets, Math.floor(base.length / 3)));
+  const width = (end - start) / count || 1;
+  const bucketOf = time => Math.min(count - 1, Math.max(0, Math.floor((time - start) / width)));
+
+  const series = Array.from({ length: count }, (_, index) => ({
+    start: new Date(start + index * width).toISOString(),
+    end: new Date(start + (index + 1) * width).toISOString(),
+    count: 0,
+    opportunities: opportunities ? 0 : null,
+    value: null
+  }));
+  events.forEach(time => series[bucketOf(time)].count++);
+  if (opportunities) base.forEach(time => series[bucketOf(time)].opportunities++);
+
+  for (const bucket of series) {
+    if (!opportunities) bucket.value = bucket.count;
+    // A bucket with nothing that could have happened says nothing either way
+    else if (bucket.opportunities > 0) bucket.value = Math.min(1, bucket.count / bucket.opportunities);
+  }
+  return series;
+}
+
+// Least-squares slope of values over their positions, with the confidence
+// (1 - two-sided p-value) that the true slope is not zero
+function linearTrend(points) {
+  const n = points.length;
+  if (n < 3) return { slope: 0, confidence: 0 };
+
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+  const slope = sxy / sxx;
+
+  const residual = points.reduce((sum, [x, y]) => sum + (y - meanY - slope * (x - meanX)) ** 2, 0);
+  const standardError = Math.sqrt(residual / (n - 2) / sxx);
+  if (standardError === 0) return { slope, confidence: slope === 0 ? 0 : 1 };
+
+  const t = slope / standardError;
+  return { slope, confidence: 1 - studentTwoSidedP(t, n - 2) };
+}
+
+// How often a series changes direction, out of how often it could
+function turningShare(values) {
+  const directions = values.slice(1)
+    .map((value, index) => Math.sign(value - values[index]))
+    .filter(direction => direction !== 0);
+  if (directions.length < 2) return 0;
+
+  const turns = directions.slice(1).filter((direction, index) => direction !== directions[index]).length;
+  return turns / (directions.length - 1);
+}
+
+// The trajectory of a series: ascending or descending when the slope is
+// both confident and large enough to matter, oscillating when it has no
+// trend but keeps swinging, stable otherwise. Confidence is in the state
+// given: the slope test for a trend, the share of turns taken for an
+// oscillation, and for stable how little the slope test found.
+function describeTrend(series, options = {}) {
+  const { minConfidence, minChange, minTurns } = { ...TRAJECTORY_DEFAULTS, ...options };
+  const points = series
+    .map((bucket, index) => [index, bucket.value])
+    .filter(([, value]) => value !== null);
+  const values = points.map(([, value]) => value);
+  const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+  const { slope, confidence } = linearTrend(points);
+  // Change across the whole series, relative to its mean
+  const change = mean > 0 && points.length > 1
+    ? slope * (points[points.length - 1][0] - points[0][0]) / mean
+    : 0;
+
+  let state = 'stable';
+  let stateConfidence = 1 - confidence;
+  if (confidence >= minConfidence && Math.abs(change) >= minChange) {
+    state = change > 0 ? 'ascending' : 'descending';
+    stateConfidence = confidence;
+  } else {
+    const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length || 1));
+    const turns = turningShare(values);
+    // Sparse events swing between empty and full buckets by chance alone,
+    // so an oscillation needs two events per bucket on average
+    const events = series.reduce((sum, bucket) => sum + bucket.count, 0);
+    if (values.length >= 4 && events >= 2 * values.length && turns >= minTurns &&
+        mean > 0 && deviation / mean >= minChange) {
+      state = 'oscillating';
+      stateConfidence = turns;
+    }
+  }
+
+  // Too few buckets to tell anything
+  if (points.length < 3) stateConfidence = 0;
+
+  return {
+    trajectory: state,
+    trend: {
+      slope: round(slope),
+      change: round(change),
+      confidence: round(stateConfidence),
+      series: series.map(bucket => ({ ...bucket, value: bucket.value === null ? null : round(bucket.value) }))
+    }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Two-sided p-value of Student's t with the given degrees of freedom
+function studentTwoSidedP(t, degrees) {
+  return incompleteBeta(degrees / (degrees + t * t), degrees / 2, 0.5);
+}
+
+// Regularized incomplete beta function I_x(a, b), by continued fraction
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  // The fraction converges quickly only on this side of the mean
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return front * betaFraction(x, a, b) / a;
+}
+
+function betaFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      result *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  return result;
+}
+
+// Lanczos approximation
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(z) {
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  z -= 1;
+  let sum = 0.99999999999980993;
+  LANCZOS.forEach((coefficient, index) => { sum += coefficient / (z + index + 1); });
+  const t = z + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+export { TRAJECTORY_DEFAULTS, bucketSeries, linearTrend, describeTrend };
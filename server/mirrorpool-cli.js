@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+import { createStorage, migrateStorage, rekeyArchive, STORAGE_BACKENDS } from '../lib/storage/index.js';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { IMPORT_FORMATS, createImporter, importJournal } from '../lib/importers/index.js';
+import { EXPORT_FORMATS, exportReflections } from '../lib/exporters/index.js';
+import { createSnapshot, restoreSnapshot } from '../lib/storage/snapshot.js';
+import { ArchiveLock } from '../lib/storage/archive-lock.js';
+import { verifyArchive } from '../lib/storage/integrity.js';
+import { writeFile } from 'fs/promises';
+
+const USAGE = `Usage: mirrorpool-cli <command> [options]
+
+Commands:
+  migrate   Move the archive from one storage backend to another
+            --path <dir> --from <backend> --to <backend> [--target-path <dir>]
+  compact   Rewrite an append-only log with only its live entries
+            --path <dir> [--backend jsonl]
+  reindex   Recompute keywords, tokens, language and vectors for every reflection
+            --path <dir> [--backend directory] [--word-vectors <file>] [--force]
+  import    Create reflections from an existing journal, keeping original dates
+            --path <dir> --format <format> --input <file or dir> [--backend directory]
+            [--depth deep] [--dry-run]
+  encrypt   Encrypt a plaintext archive with MIRRORPOOL_NEW_PASSPHRASE
+            --path <dir> [--backend directory]
+  decrypt   Turn an archive encrypted with MIRRORPOOL_PASSPHRASE back into plaintext
+            --path <dir> [--backend directory]
+  rotate-key  Re-encrypt an archive from MIRRORPOOL_PASSPHRASE to MIRRORPOOL_NEW_PASSPHRASE
+            --path <dir> [--backend directory]
+  export    Render reflections as a Markdown journal, a static HTML page or JSON-LD
+            --path <dir> --format <format> [--output <file>] [--backend directory]
+            [--tags a,b] [--source journal,dream] [--after <date>] [--before <date>]
+            [--timezone <zone>]
+  snapshot  Save the archive as one compressed file with a manifest of content hashes
+            --path <dir> [--backend directory] [--output <file>]
+  restore   Replace the archive with a snapshot, snapshotting the current state first
+            --path <dir> --snapshot <file> [--backend directory]
+  verify    Report corrupted or orphaned files and dangling connections
+            --path <dir> [--backend directory] [--compare-with <snapshot>]
+
+Encrypted archives are opened with the MIRRORPOOL_PASSPHRASE environment variable.
+
+Backends: ${Object.keys(STORAGE_BACKENDS).join(', ')}
+Import formats: ${Object.keys(IMPORT_FORMATS).join(', ')}
+Export formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const key = arg.slice(2);
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return options;
+}
+
+const passphrase = process.env.MIRRORPOOL_PASSPHRASE || null;
+const storageOptions = { passphrase };
+
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`Set the ${name} environment variable`);
+  }
+  return process.env[name];
+}
+
+function listOption(options, key) {
+  return typeof options[key] === 'string' ? options[key].split(',').map(item => item.trim()) : undefined;
+}
+
+function requireOption(options, key) {
+  if (typeof options[key] !== 'string') {
+    throw new Error(`Missing required option --${key}`);
+  }
+  return options[key];
+}
+
+// Commands that rewrite an archive take the same lock as a running server,
+// and leave a new revision behind so the server reloads
+async function withArchiveLock(path, task) {
+  const lock = new ArchiveLock(path);
+  return lock.withLock(async () => {
+    const result = await task();
+    await lock.commit();
+    return result;
+  });
+}
+
+const commands = {
+  async migrate(options) {
+    const path = requireOption(options, 'path');
+    const source = createStorage(requireOption(options, 'from'), path, storageOptions);
+    const target = createStorage(requireOption(options, 'to'), options['target-path'] || path, storageOptions);
+
+    const report = await withArchiveLock(path, () => migrateStorage(source, target));
+    console.log(`Migrated ${report.migrated} reflections and ${report.connections} connections from ${report.from} to ${report.to}`);
+    report.skipped.forEach(({ source, error }) => console.log(`  skipped ${source}: ${error}`));
+  },
+
+  async compact(options) {
+    const path = requireOption(options, 'path');
+    const storage = createStorage(options.backend || 'jsonl', path, storageOptions);
+    const report = await withArchiveLock(path, async () => {
+      await storage.open();
+      await storage.load();
+      const compacted = await storage.compact();
+      await storage.close();
+      return compacted;
+    });
+
+    if (report.before === null) {
+      console.log(`The ${storage.type} backend does not need compaction`);
+    } else {
+      console.log(`Compacted log from ${report.before} to ${report.after} entries`);
+    }
+  },
+
+  async reindex(options) {
+    const engine = new ReflectionEngine(requireOption(options, 'path'), {
+      storage: options.backend || 'directory',
+      storageOptions,
+      similarity: { wordVectorsPath: options['word-vectors'] }
+    });
+    engine.on('reflection-skipped', ({ source, error }) => console.log(`  skipped ${source}: ${error}`));
+
+    await engine.initialize();
+    const report = await engine.reindex({ force: options.force === true });
+    await engine.close();
+
+    console.log(`Reindexed ${report.reindexed} of ${report.total} reflections (engine version ${report.engineVersion})`);
+  },
+
+  async import(options) {
+    const importer = createImporter(requireOption(options, 'format'), requireOption(options, 'input'));
+    const engine = new ReflectionEngine(requireOption(options, 'path'), {
+      storage: options.backend || 'directory',
+      storageOptions
+    });
+    engine.on('reflection-skipped', ({ source, error }) => console.log(`  skipped ${source}: ${error}`));
+
+    await engine.initialize();
+    const report = await importJournal(engine, importer, {
+      dryRun: options['dry-run'] === true,
+      depth: typeof options.depth === 'string' ? options.depth : undefined
+    });
+    await engine.close();
+
+    const verb = report.dryRun ? 'Would import' : 'Imported';
+    console.log(`${verb} ${report.imported.length} reflections and ${report.links} links from ${report.format}`);
+    report.skipped.forEach(({ source, reason }) => console.log(`  skipped ${source}: ${reason}`));
+    report.unresolvedLinks.forEach(({ source, link }) => console.log(`  unresolved link in ${source}: [[${link}]]`));
+  },
+
+  async encrypt(options) {
+    const path = requireOption(options, 'path');
+    const report = await withArchiveLock(path, () => rekeyArchive(options.backend || 'directory', path, {
+      toPassphrase: requireEnv('MIRRORPOOL_NEW_PASSPHRASE')
+    }));
+    console.log(`Encrypted ${report.migrated} reflections and ${report.connections} connections`);
+    console.log('Set MIRRORPOOL_PASSPHRASE (or encryption_passphrase) to this passphrase from now on');
+    report.skipped.forEach(({ source, error }) => console.log(`  skipped ${source}: ${error}`));
+  },
+
+  async decrypt(options) {
+    const path = requireOption(options, 'path');
+    const report = await withArchiveLock(path, () => rekeyArchive(options.backend || 'directory', path, {
+      fromPassphrase: requireEnv('MIRRORPOOL_PASSPHRASE')
+    }));
+    console.log(`Decrypted ${report.migrated} reflections and ${report.connections} connections`);
+    report.skipped.forEach(({ source, error }) => console.log(`  skipped ${source}: ${error}`));
+  },
+
+  async 'rotate-key'(options) {
+    const path = requireOption(options, 'path');
+    const report = await withArchiveLock(path, () => rekeyArchive(options.backend || 'directory', path, {
+      fromPassphrase: requireEnv('MIRRORPOOL_PASSPHRASE'),
+      toPassphrase: requireEnv('MIRRORPOOL_NEW_PASSPHRASE')
+    }));
+    console.log(`Re-encrypted ${report.migrated} reflections and ${report.connections} connections under the new key`);
+    report.skipped.forEach(({ source, error }) => console.log(`  skipped ${source}: ${error}`));
+  },
+
+  async export(options) {
+    const format = requireOption(options, 'format');
+    const engine = new ReflectionEngine(requireOption(options, 'path'), {
+      storage: options.backend || 'directory',
+      storageOptions
+    });
+    engine.on('reflection-skipped', ({ source, error }) => console.error(`  skipped ${source}: ${error}`));
+
+    await engine.initialize();
+    const exported = exportReflections(engine, format, {
+      tags: listOption(options, 'tags'),
+      source: listOption(options, 'source'),
+      after: typeof options.after === 'string' ? options.after : undefined,
+      before: typeof options.before === 'string' ? options.before : undefined
+    }, {
+      timeZone: typeof options.timezone === 'string' ? options.timezone : null
+    });
+    await engine.close();
+
+    // Without --output the export goes to stdout so it can be piped
+    if (typeof options.output !== 'string') {
+      process.stdout.write(exported.content);
+      return;
+    }
+    await writeFile(options.output, exported.content);
+    console.log(`Exported ${exported.count} reflections to ${options.output}`);
+  },
+
+  async snapshot(options) {
+    const path = requireOption(options, 'path');
+    const report = await withArchiveLock(path, () => createSnapshot(path, {
+      outputPath: typeof options.output === 'string' ? options.output : null,
+      backend: options.backend || 'directory'
+    }));
+    console.log(`Saved ${report.files} files (${report.bytes} bytes, ${report.compressedBytes} compressed) to ${report.path}`);
+  },
+
+  async restore(options) {
+    const path = requireOption(options, 'path');
+    const report = await withArchiveLock(path, () => restoreSnapshot(requireOption(options, 'snapshot'), path, {
+      backend: options.backend || 'directory'
+    }));
+    console.log(`Restored ${report.restored} files from the snapshot of ${report.snapshotCreatedAt}`);
+    if (report.safetySnapshot) {
+      console.log(`The previous archive was saved to ${report.safetySnapshot}`);
+    }
+  },
+
+  async verify(options) {
+    const report = await verifyArchive(options.backend || 'directory', requireOption(options, 'path'), {
+      ...storageOptions,
+      compareWith: typeof options['compare-with'] === 'string' ? options['compare-with'] : null
+    });
+    const { reflections, connections, files } = report.checked;
+    console.log(`Checked ${reflections} reflections, ${connections} connections and ${files} files`);
+
+    report.corrupted.forEach(({ source, error }) => console.log(`  corrupted ${source}: ${error}`));
+    report.missing.forEach(({ source, reason }) => console.log(`  missing ${source}: ${reason}`));
+    report.orphaned.forEach(({ source, reason }) => console.log(`  orphaned ${source}: ${reason}`));
+    report.danglingEdges.forEach(({ from, to, missing }) => console.log(`  dangling edge ${from} -> ${to}: no ${missing.join(', ')}`));
+    if (report.sinceSnapshot) {
+      const { createdAt, removed } = report.sinceSnapshot;
+      console.log(`${removed.length} files removed since the snapshot of ${createdAt}`);
+      removed.forEach(path => console.log(`  removed ${path}`));
+    }
+
+    if (!report.ok) {
+      throw new Error('The archive has problems');
+    }
+    console.log('The archive is intact');
+  }
+};
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === '--help' || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  const handler = commands[command];
+  if (!handler) {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  await handler(parseOptions(rest));
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
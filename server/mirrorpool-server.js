@@ -10,6 +10,57 @@ import { ReflectionEngine } from '../lib/reflection-engine.js';
 import { PatternDetector } from '../lib/pattern-detector.js';
 import { DepthAnalyzer } from '../lib/depth-analyzer.js';
 import { ConsciousnessTracker } from '../lib/consciousness-tracker.js';
+import { REFLECTION_DEPTHS, REFLECTION_SOURCES } from '../lib/reflection-schema.js';
+import { EXPORT_FORMATS, exportReflections } from '../lib/exporters/index.js';
+import { createSnapshot, restoreSnapshot } from '../lib/storage/snapshot.js';
+import { verifyArchive } from '../lib/storage/integrity.js';
+import { readFile, writeFile } from 'fs/promises';
+
+// Narrow an analysis to reflections carrying these tags or from these sources
+const FILTER_PROPERTIES = {
+  tags: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only reflections carrying all of these tags'
+  },
+  source: {
+    type: 'array',
+    items: { type: 'string', enum: REFLECTION_SOURCES },
+    description: 'Only reflections from one of these sources'
+  }
+};
+
+function filtersFrom(args) {
+  return {
+    tags: args.tags,
+    source: args.source
+  };
+}
+
+// What the activity log keeps about a tool call: the thought it concerned,
+// by reflection id only, and how far a reflection or a dive went
+function activityDetails(name, args = {}, result, engine) {
+  const text = args.thought ?? args.foggy_thought ?? args.origin_thought;
+  const details = {};
+  if (args.id || typeof text === 'string') {
+    details.thought = args.id || engine.generateHash(text);
+  }
+  
+  switch (name) {
+    case 'reflect_thought':
+      details.depth = args.depth || 'deep';
+      break;
+    case 'depth_diving':
+      details.requestedDepth = args.max_depth || 5;
+      details.reachedDepth = result.levels.length;
+      break;
+    case 'clarity_emergence':
+      details.method = args.clarification_method || 'questions';
+      break;
+  }
+  
+  return details;
+}
 
 class MirrorPoolServer {
   constructor() {
@@ -25,6 +76,7 @@ class MirrorPoolServer {
       }
     );
 
+    this.archive = null;
     this.engine = null;
     this.patterns = null;
     this.depth = null;
@@ -35,11 +87,44 @@ class MirrorPoolServer {
   async initialize(config) {
     const reflectionsPath = config.reflections_path || 'reflections';
     const depthMode = config.depth_mode || 'deep';
+    const storageBackend = config.storage_backend || 'directory';
     
-    this.engine = new ReflectionEngine(reflectionsPath);
-    this.patterns = new PatternDetector();
+    this.archive = {
+      path: reflectionsPath,
+      backend: storageBackend,
+      passphrase: config.encryption_passphrase || process.env.MIRRORPOOL_PASSPHRASE
+    };
+    
+    this.engine = new ReflectionEngine(reflectionsPath, {
+      storage: storageBackend,
+      storageOptions: { passphrase: this.archive.passphrase },
+      similarityMode: config.similarity_mode || 'lexical',
+      similarity: { wordVectorsPath: config.word_vectors_path },
+      watch: config.watch_reflections === true,
+      activity: config.record_activity !== false
+    });
+    // Extra emotion words, negations or intensifiers, in the bundled lexicon's shape
+    const emotionLexicon = config.emotion_lexicon_path
+      ? JSON.parse(await readFile(config.emotion_lexicon_path, 'utf8'))
+      : undefined;
+    this.patterns = new PatternDetector(this.engine, {
+      emotionLexicon,
+      timeZone: config.timezone,
+      temporal: config.temporal_patterns
+    });
     this.depth = new DepthAnalyzer(depthMode);
-    this.consciousness = new ConsciousnessTracker();
+    this.consciousness = new ConsciousnessTracker(this.engine);
+    
+    // Corrupt or unreadable reflection files are skipped, never fatal
+    this.engine.on('reflection-skipped', ({ source, error }) => {
+      console.error(`Skipped reflection ${source}: ${error}`);
+    });
+    this.engine.on('reflections-synced', ({ added, modified, removed }) => {
+      console.error(`Picked up external changes: ${added.length} added, ${modified.length} modified, ${removed.length} removed`);
+    });
+    this.engine.on('watch-error', (error) => {
+      console.error(`Watching ${reflectionsPath} failed: ${error.message}`);
+    });
     
     await this.engine.initialize();
   }
@@ -60,11 +145,151 @@ class MirrorPoolServer {
                 enum: ['surface', 'deep', 'abyss'],
                 default: 'deep'
               },
-              include_evolution: { type: 'boolean', default: true }
+              include_evolution: { type: 'boolean', default: true },
+              similarity: {
+                type: 'string',
+                enum: ['lexical', 'semantic', 'hybrid'],
+                description: 'How echoes are matched: shared words, meaning vectors, or both'
+              },
+              tags: { type: 'array', items: { type: 'string' } },
+              mood: { type: 'string' },
+              source: { type: 'string', enum: REFLECTION_SOURCES },
+              context: { type: 'string' }
             },
             required: ['thought']
           }
         },
+        {
+          name: 'get_reflection_history',
+          description: 'Show how the echoes and resonance of the same thought changed across revisits',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              thought: { type: 'string' },
+              id: { type: 'string' }
+            }
+          }
+        },
+        {
+          name: 'get_reflection',
+          description: 'Read back one stored reflection with its connections',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' }
+            },
+            required: ['id']
+          }
+        },
+        {
+          name: 'list_reflections',
+          description: 'Page through stored reflections by time or resonance',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cursor: { type: 'string', description: 'nextCursor from the previous page' },
+              limit: { type: 'number', minimum: 1, maximum: 100, default: 20 },
+              sort: { type: 'string', enum: ['time', 'resonance'], default: 'time' },
+              order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+              after: { type: 'string', description: 'ISO date; only reflections from then on' },
+              before: { type: 'string', description: 'ISO date; only reflections written before then' },
+              ...FILTER_PROPERTIES
+            }
+          }
+        },
+        {
+          name: 'search_reflections',
+          description: 'Search past reflections without saving the query as a new one',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'Words, "exact phrases", AND/OR/NOT, parentheses, and depth:, tag:, source:, mood:, before:, after:, resonance: filters'
+              },
+              min_resonance: { type: 'number', minimum: 0, maximum: 1, default: 0 },
+              limit: { type: 'number', minimum: 1, maximum: 100, default: 20 },
+              ...FILTER_PROPERTIES
+            },
+            required: ['query']
+          }
+        },
+        {
+          name: 'update_reflection',
+          description: 'Correct the text, depth or metadata of a stored reflection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              thought: { type: 'string' },
+              depth: { type: 'string', enum: REFLECTION_DEPTHS },
+              tags: { type: 'array', items: { type: 'string' } },
+              mood: { type: 'string' },
+              source: { type: 'string', enum: REFLECTION_SOURCES },
+              context: { type: 'string' }
+            },
+            required: ['id']
+          }
+        },
+        {
+          name: 'delete_reflection',
+          description: 'Remove a reflection and every connection to it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' }
+            },
+            required: ['id']
+          }
+        },
+        {
+          name: 'export_reflections',
+          description: 'Render the archive, or part of it, as a Markdown journal, a static HTML page or JSON-LD',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'markdown' },
+              output_path: { type: 'string', description: 'Write the export to this file instead of returning it' },
+              after: { type: 'string', description: 'ISO date; only reflections from then on' },
+              before: { type: 'string', description: 'ISO date; only reflections written before then' },
+              ...FILTER_PROPERTIES
+            }
+          }
+        },
+        {
+          name: 'create_snapshot',
+          description: 'Save the whole archive as one compressed snapshot with a manifest of content hashes',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              output_path: { type: 'string', description: 'Where to write it (default: a snapshots folder beside the archive)' }
+            }
+          }
+        },
+        {
+          name: 'restore_snapshot',
+          description: 'Replace the archive with a verified snapshot; the current state is snapshotted first',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              snapshot_path: { type: 'string' }
+            },
+            required: ['snapshot_path']
+          }
+        },
+        {
+          name: 'verify_archive',
+          description: 'Check the archive for corrupted or orphaned files and dangling connections',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              compare_with: {
+                type: 'string',
+                description: 'Optional snapshot file; lists the archive files removed since it was taken'
+              }
+            }
+          }
+        },
         {
           name: 'find_undercurrents',
           description: 'Discover deep themes flowing beneath surface thoughts',
@@ -76,7 +301,8 @@ class MirrorPoolServer {
                 enum: ['day', 'week', 'month', 'all'],
                 default: 'week'
               },
-              min_depth: { type: 'number', minimum: 0, maximum: 1 }
+              min_depth: { type: 'number', minimum: 0, maximum: 1 },
+              ...FILTER_PROPERTIES
             }
           }
         },
@@ -87,7 +313,8 @@ class MirrorPoolServer {
             type: 'object',
             properties: {
               concept: { type: 'string' },
-              show_branches: { type: 'boolean', default: true }
+              show_branches: { type: 'boolean', default: true },
+              ...FILTER_PROPERTIES
             },
             required: ['concept']
           }
@@ -106,7 +333,8 @@ class MirrorPoolServer {
                 },
                 default: ['emotional', 'conceptual']
               },
-              threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.3 }
+              threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.3 },
+              ...FILTER_PROPERTIES
             }
           }
         },
@@ -117,7 +345,8 @@ class MirrorPoolServer {
             type: 'object',
             properties: {
               min_sources: { type: 'number', minimum: 2, default: 2 },
-              include_context: { type: 'boolean', default: true }
+              include_context: { type: 'boolean', default: true },
+              ...FILTER_PROPERTIES
             }
           }
         },
@@ -172,40 +401,144 @@ class MirrorPoolServer {
       try {
         let result;
         
+        // Another MirrorPool process may have written to the same archive
+        await this.engine.refresh();
+        
         switch (name) {
           case 'reflect_thought':
             result = await this.engine.reflectThought(
               args.thought,
               args.depth || 'deep',
-              args.include_evolution !== false
+              args.include_evolution !== false,
+              {
+                similarity: args.similarity,
+                tags: args.tags,
+                mood: args.mood,
+                source: args.source,
+                context: args.context
+              }
             );
             break;
           
+          case 'get_reflection_history':
+            result = this.engine.getReflectionHistory({
+              id: args.id,
+              thought: args.thought
+            });
+            break;
+          
+          case 'get_reflection':
+            result = this.engine.getReflection(args.id);
+            break;
+          
+          case 'list_reflections':
+            result = this.engine.listReflections({
+              cursor: args.cursor,
+              limit: args.limit,
+              sort: args.sort,
+              order: args.order,
+              after: args.after,
+              before: args.before,
+              ...filtersFrom(args)
+            });
+            break;
+          
+          case 'search_reflections':
+            result = this.engine.searchReflections(args.query, {
+              minResonance: args.min_resonance,
+              limit: args.limit,
+              ...filtersFrom(args)
+            });
+            break;
+          
+          case 'update_reflection':
+            result = await this.engine.updateReflection(args.id, {
+              thought: args.thought,
+              depth: args.depth,
+              tags: args.tags,
+              mood: args.mood,
+              source: args.source,
+              context: args.context
+            });
+            break;
+          
+          case 'delete_reflection':
+            result = await this.engine.deleteReflection(args.id);
+            break;
+          
+          case 'export_reflections': {
+            const exported = exportReflections(this.engine, args.format || 'markdown', {
+              after: args.after,
+              before: args.before,
+              ...filtersFrom(args)
+            }, { timeZone: this.patterns.timeZone });
+            if (args.output_path) {
+              await writeFile(args.output_path, exported.content);
+              result = { format: exported.format, count: exported.count, path: args.output_path };
+            } else {
+              result = exported;
+            }
+            break;
+          }
+          
+          case 'create_snapshot':
+            // Held so no other process writes while the files are read
+            result = await this.engine.withArchiveLock(() => createSnapshot(this.archive.path, {
+              outputPath: args.output_path,
+              backend: this.archive.backend
+            }));
+            break;
+          
+          case 'restore_snapshot':
+            result = await this.engine.withArchiveLock(async () => {
+              try {
+                return await restoreSnapshot(args.snapshot_path, this.archive.path, {
+                  backend: this.archive.backend
+                });
+              } finally {
+                // Pick up the restored files, or the untouched ones if it failed
+                await this.engine.reload();
+              }
+            });
+            result.reflections = this.engine.reflections.size;
+            break;
+          
+          case 'verify_archive':
+            result = await verifyArchive(this.archive.backend, this.archive.path, {
+              passphrase: this.archive.passphrase,
+              compareWith: args.compare_with || null
+            });
+            break;
+          
           case 'find_undercurrents':
             result = await this.patterns.findUndercurrents(
               args.timeframe || 'week',
-              args.min_depth || 0.5
+              args.min_depth || 0.5,
+              filtersFrom(args)
             );
             break;
           
           case 'trace_evolution':
             result = await this.engine.traceEvolution(
               args.concept,
-              args.show_branches !== false
+              args.show_branches !== false,
+              filtersFrom(args)
             );
             break;
           
           case 'discover_patterns':
             result = await this.patterns.discoverPatterns(
               args.pattern_types || ['emotional', 'conceptual'],
-              args.threshold || 0.3
+              args.threshold || 0.3,
+              filtersFrom(args)
             );
             break;
           
           case 'synthesis_moments':
             result = await this.consciousness.findSynthesisMoments(
               args.min_sources || 2,
-              args.include_context !== false
+              args.include_context !== false,
+              filtersFrom(args)
             );
             break;
           
@@ -234,6 +567,10 @@ class MirrorPoolServer {
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
+        
+        // A full disk or a read-only archive must not fail the call itself
+        await this.engine.activity.record(name, activityDetails(name, args, result, this.engine))
+          .catch(error => console.error(`Could not record activity: ${error.message}`));
 
         return {
           content: [
@@ -272,7 +609,12 @@ process.stdin.once('data', async (data) => {
     const config = JSON.parse(data.toString());
     await server.initialize(config);
   } catch (error) {
-    console.error('Initialization error:', error);
+    // A wrong passphrase or a mixed archive stops the server before anything is written
+    if (error.name === 'EncryptionError') {
+      console.error(`MirrorPool refused to start: ${error.message}`);
+    } else {
+      console.error('Initialization error:', error);
+    }
     process.exit(1);
   }
 });
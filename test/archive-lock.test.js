@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { STORAGE_BACKENDS } from '../lib/storage/index.js';
+import { ArchiveLock, ArchiveLockError, LOCK_FILE } from '../lib/storage/archive-lock.js';
+
+async function withDirectory(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-lock-'));
+  try {
+    await run(path);
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+async function openEngine(path, backend) {
+  const engine = new ReflectionEngine(path, { storage: backend });
+  await engine.initialize();
+  return engine;
+}
+
+for (const backend of Object.keys(STORAGE_BACKENDS)) {
+  test(`${backend}: two engines writing to one archive keep each other's reflections`, async () => {
+    await withDirectory(async (path) => {
+      const first = await openEngine(path, backend);
+      const second = await openEngine(path, backend);
+      try {
+        await first.reflectThought('The river at dawn', 'deep', false);
+        // The second engine never saw that write; it reloads before its own
+        await second.reflectThought('The river at dusk', 'deep', false);
+        assert.equal(second.reflections.size, 2);
+
+        await Promise.all([
+          first.reflectThought('A garden after rain', 'deep', false),
+          second.reflectThought('A garden in the snow', 'deep', false)
+        ]);
+
+        // The revision file tells the first engine there is something new to load
+        assert.equal(await first.refresh(), true);
+        assert.equal(await first.refresh(), false);
+        assert.equal(first.reflections.size, 4);
+      } finally {
+        await first.close();
+        await second.close();
+      }
+
+      const reopened = await openEngine(path, backend);
+      assert.deepEqual([...reopened.reflections.values()].map(reflection => reflection.original).sort(), [
+        'A garden after rain',
+        'A garden in the snow',
+        'The river at dawn',
+        'The river at dusk'
+      ]);
+      await reopened.close();
+      assert.equal((await readdir(path)).includes(LOCK_FILE), false);
+    });
+  });
+}
+
+test('a stale lock left by a crashed process is cleared', async () => {
+  await withDirectory(async (path) => {
+    const lockPath = join(path, LOCK_FILE);
+    await writeFile(lockPath, JSON.stringify({ pid: 1, host: 'elsewhere', token: 'gone' }));
+    const old = new Date(Date.now() - 60000);
+    await utimes(lockPath, old, old);
+
+    const lock = new ArchiveLock(path, { timeout: 500, staleAfter: 30000 });
+    assert.equal(await lock.withLock(async () => 'written'), 'written');
+    assert.equal((await readdir(path)).includes(LOCK_FILE), false);
+  });
+});
+
+test('a half-written lock is judged by its age', async () => {
+  await withDirectory(async (path) => {
+    const lockPath = join(path, LOCK_FILE);
+    await writeFile(lockPath, '');
+    const old = new Date(Date.now() - 60000);
+    await utimes(lockPath, old, old);
+
+    const lock = new ArchiveLock(path, { timeout: 500, staleAfter: 30000 });
+    assert.equal(await lock.withLock(async () => 'written'), 'written');
+  });
+});
+
+test('a live lock held elsewhere makes a writer give up with the holder named', async () => {
+  await withDirectory(async (path) => {
+    const holder = new ArchiveLock(path);
+    await holder.acquire();
+    try {
+      const waiting = new ArchiveLock(path, { timeout: 200, retryInterval: 20 });
+      await assert.rejects(waiting.withLock(async () => 'never'), error =>
+        error instanceof ArchiveLockError && error.message.includes(`process ${process.pid}`));
+    } finally {
+      await holder.release();
+    }
+    assert.equal((await readdir(path)).includes(LOCK_FILE), false);
+  });
+});
+
+test('writes of one engine queue behind each other instead of waiting on their own lock', async () => {
+  await withDirectory(async (path) => {
+    const engine = await openEngine(path, 'jsonl');
+    try {
+      await Promise.all(['one', 'two', 'three'].map(word =>
+        engine.reflectThought(`Counting to ${word}`, 'surface', false)));
+      assert.equal(engine.reflections.size, 3);
+    } finally {
+      await engine.close();
+    }
+  });
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+async function withEngine(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-connections-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    await run(engine, path);
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+// Three thoughts in a chain: the first and last only meet through the middle one
+const CHAIN = [
+  'Walking in the quiet garden at dawn brings calm',
+  'Walking in the quiet garden at dawn brings restless hands',
+  'Restless hands want clay'
+];
+
+async function reflectChain(engine) {
+  const reflections = [];
+  for (const thought of CHAIN) {
+    const { reflection } = await engine.reflectThought(thought, 'deep', false);
+    reflections.push(reflection);
+  }
+  return reflections;
+}
+
+test('echoes become weighted, two-way connections', async () => {
+  await withEngine(async (engine) => {
+    const [first, second, third] = await reflectChain(engine);
+
+    const edge = engine.connections.get(second.id).get(first.id);
+    assert.ok(edge, 'the second thought connects to the first');
+    assert.equal(engine.connections.get(first.id).get(second.id), edge);
+    assert.ok(edge.weight > 0 && edge.weight <= 1);
+    assert.ok(edge.similarity > 0);
+    assert.equal(typeof edge.timeGap, 'number');
+    assert.ok(!engine.connections.get(third.id).has(first.id));
+  });
+});
+
+test('the graph is saved once per pair and reloaded', async () => {
+  await withEngine(async (engine, path) => {
+    const [first, second, third] = await reflectChain(engine);
+
+    const saved = JSON.parse(await readFile(join(path, 'connections.json'), 'utf8'));
+    assert.equal(saved.length, engine.serializeConnections().length);
+    assert.ok(saved.every(({ from, to }) => from < to));
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.deepEqual(reopened.serializeConnections(), engine.serializeConnections());
+    assert.equal(reopened.loadReport.loaded, 3);
+    assert.ok(reopened.connections.get(third.id).has(second.id));
+    assert.ok(!reopened.reflections.has('connections'));
+    assert.ok(reopened.connections.get(first.id).has(second.id));
+  });
+});
+
+test('without a saved graph, connections are rebuilt from mirrors', async () => {
+  await withEngine(async (engine, path) => {
+    await reflectChain(engine);
+    const expected = engine.serializeConnections().map(({ from, to }) => [from, to]);
+    await writeFile(join(path, 'connections.json'), 'not json');
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.deepEqual(reopened.serializeConnections().map(({ from, to }) => [from, to]), expected);
+    assert.equal(reopened.loadReport.skipped.length, 1);
+  });
+});
+
+test('ripples spread along connections and weaken with distance', async () => {
+  await withEngine(async (engine) => {
+    const [, second, third] = await reflectChain(engine);
+
+    const ripples = await engine.traceRipples(CHAIN[0], 3);
+    assert.deepEqual(ripples.waves.map(wave => wave.thoughts.map(thought => thought.id)), [[second.id], [third.id]]);
+    const [near, far] = ripples.waves;
+    assert.ok(far.strength < near.strength);
+    assert.ok(ripples.totalImpact >= 0);
+  });
+});
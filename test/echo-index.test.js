@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EchoIndex } from '../lib/echo-index.js';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+function byId(results) {
+  return Object.fromEntries(results.map(({ id, similarity }) => [id, similarity]));
+}
+
+test('only reflections sharing a token are scored', () => {
+  const index = new EchoIndex();
+  index.add('a', ['quiet', 'garden', 'dawn']);
+  index.add('b', ['garden', 'clay', 'clay']);
+  index.add('c', ['ocean']);
+
+  const scores = byId(index.score(['garden', 'dawn', 'rain']));
+  assert.deepEqual(Object.keys(scores).sort(), ['a', 'b']);
+  assert.ok(scores.a > scores.b);
+  assert.deepEqual(index.score([]), []);
+});
+
+test('rare shared words weigh more than common ones', () => {
+  const index = new EchoIndex();
+  index.add('common', ['the', 'garden']);
+  index.add('rare', ['the', 'kiln']);
+  for (let i = 0; i < 5; i++) index.add(`filler${i}`, ['the', `word${i}`]);
+
+  assert.ok(index.idf('kiln') > index.idf('the'));
+  assert.ok(index.idf('the') > 0);
+  const scores = byId(index.score(['the', 'kiln']));
+  assert.ok(scores.rare > 0.9);
+  assert.ok(scores.filler0 < 0.5);
+});
+
+test('re-adding or removing a document updates its postings', () => {
+  const index = new EchoIndex();
+  index.add('a', ['quiet', 'garden']);
+  index.add('a', ['ocean']);
+  assert.deepEqual(index.score(['garden']), []);
+  assert.deepEqual(index.score(['ocean']).map(({ id }) => id), ['a']);
+
+  assert.equal(index.remove('a'), true);
+  assert.equal(index.remove('a'), false);
+  assert.equal(index.size, 0);
+  assert.equal(index.postings.size, 0);
+});
+
+test('findEchoes through the index matches a full scan', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-echoes-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    for (const thought of [
+      'Walking in the quiet garden at dawn brings calm',
+      'Walking in the quiet garden at dawn brings restless hands',
+      'Restless hands want clay',
+      'Numbers on a spreadsheet never sleep'
+    ]) {
+      await engine.reflectThought(thought, 'deep', false);
+    }
+
+    const thought = 'the quiet garden at dawn makes me calm';
+    const indexed = await engine.findEchoes(thought, 'abyss');
+
+    // The same thresholds over every reflection
+    const scanned = [...engine.reflections.values()].filter(reflection =>
+      engine.calculateSimilarity(thought, reflection.original) > 0.2 ||
+      engine.keywordOverlap(engine.extractKeywords(thought), reflection.keywords || []) > 0.4);
+
+    assert.ok(indexed.length > 0);
+    assert.deepEqual(indexed.map(echo => echo.id).sort(), scanned.map(reflection => reflection.id).sort());
+    await engine.close();
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+});
+
+test('the index holds stems without stop words, so word forms echo and "the" does not', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-echoes-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    const { reflection } = await engine.reflectThought('I want to create with the clay of the river', 'deep', false);
+    await engine.reflectThought('Numbers on a spreadsheet never sleep', 'deep', false);
+
+    assert.equal(engine.echoIndex.postings.has('the'), false);
+    assert.equal(engine.echoIndex.postings.has('creat'), true);
+
+    const echoes = await engine.findEchoes('Creating again', 'deep', 'lexical');
+    assert.deepEqual(echoes.map(echo => echo.id), [reflection.id]);
+    assert.deepEqual(await engine.findEchoes('With the of', 'deep', 'lexical'), []);
+    await engine.close();
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+});
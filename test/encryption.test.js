@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, dirname, join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { STORAGE_BACKENDS, rekeyArchive } from '../lib/storage/index.js';
+import { ENCRYPTION_FILE, EncryptionError } from '../lib/storage/encryption.js';
+
+const THOUGHTS = [
+  'Walking in the quiet garden at dawn brings calm',
+  'Walking in the quiet garden at dawn brings restless hands'
+];
+
+async function withDirectory(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-encryption-'));
+  try {
+    await run(path);
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+function openEngine(path, backend, passphrase) {
+  return new ReflectionEngine(path, { storage: backend, storageOptions: { passphrase } });
+}
+
+async function fillArchive(path, backend, passphrase) {
+  const engine = openEngine(path, backend, passphrase);
+  await engine.initialize();
+  for (const thought of THOUGHTS) await engine.reflectThought(thought, 'deep', false);
+  const state = { ids: [...engine.reflections.keys()].sort(), edges: engine.serializeConnections().length };
+  await engine.close();
+  return state;
+}
+
+async function loadArchive(path, backend, passphrase) {
+  const engine = openEngine(path, backend, passphrase);
+  await engine.initialize();
+  const state = { ids: [...engine.reflections.keys()].sort(), edges: engine.serializeConnections().length };
+  await engine.close();
+  return state;
+}
+
+// Every file's contents, so a test can look for plaintext anywhere in the archive
+async function readArchive(path) {
+  const contents = [];
+  for (const name of await readdir(path)) {
+    const file = join(path, name);
+    contents.push((await stat(file)).isDirectory() ? (await readArchive(file)).join('\n') : await readFile(file, 'utf8'));
+  }
+  return contents;
+}
+
+for (const backend of Object.keys(STORAGE_BACKENDS)) {
+  test(`${backend}: an encrypted archive reopens with its passphrase and leaks no text`, async () => {
+    await withDirectory(async (path) => {
+      const saved = await fillArchive(path, backend, 'correct horse');
+      assert.ok(saved.edges > 0);
+
+      const files = (await readArchive(path)).join('\n');
+      assert.doesNotMatch(files, /garden/);
+      assert.match(files, /mpenc:v1:/);
+
+      assert.deepEqual(await loadArchive(path, backend, 'correct horse'), saved);
+    });
+  });
+
+  test(`${backend}: a wrong or missing passphrase is refused before anything is written`, async () => {
+    await withDirectory(async (path) => {
+      await fillArchive(path, backend, 'correct horse');
+      const before = await readArchive(path);
+
+      await assert.rejects(loadArchive(path, backend, 'battery staple'), /Wrong passphrase/);
+      await assert.rejects(loadArchive(path, backend, null), /is encrypted; set MIRRORPOOL_PASSPHRASE/);
+      assert.deepEqual(await readArchive(path), before);
+    });
+  });
+
+  test(`${backend}: an archive is encrypted, rotated to a new key and decrypted again`, async () => {
+    await withDirectory(async (path) => {
+      const saved = await fillArchive(path, backend, null);
+      await assert.rejects(loadArchive(path, backend, 'first'), EncryptionError);
+
+      const encrypted = await rekeyArchive(backend, path, { toPassphrase: 'first' });
+      assert.equal(encrypted.encrypted, true);
+      assert.deepEqual(await loadArchive(path, backend, 'first'), saved);
+
+      const { keyId } = JSON.parse(await readFile(join(path, ENCRYPTION_FILE), 'utf8'));
+      await rekeyArchive(backend, path, { fromPassphrase: 'first', toPassphrase: 'second' });
+      assert.notEqual(JSON.parse(await readFile(join(path, ENCRYPTION_FILE), 'utf8')).keyId, keyId);
+      await assert.rejects(loadArchive(path, backend, 'first'), /Wrong passphrase/);
+      assert.deepEqual(await loadArchive(path, backend, 'second'), saved);
+
+      const decrypted = await rekeyArchive(backend, path, { fromPassphrase: 'second' });
+      assert.equal(decrypted.encrypted, false);
+      assert.equal((await readdir(path)).includes(ENCRYPTION_FILE), false);
+      assert.deepEqual(await loadArchive(path, backend, null), saved);
+    });
+  });
+}
+
+test('a rotation that fails leaves the old archive in place', async () => {
+  await withDirectory(async (path) => {
+    const saved = await fillArchive(path, 'jsonl', 'first');
+    await assert.rejects(rekeyArchive('jsonl', path, { fromPassphrase: 'wrong', toPassphrase: 'second' }), /Wrong passphrase/);
+    assert.deepEqual(await loadArchive(path, 'jsonl', 'first'), saved);
+    // Nothing is left beside it either
+    assert.deepEqual((await readdir(dirname(path))).filter(name => name.startsWith(`${basename(path)}.`)), []);
+  });
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+async function withEngine(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-evolution-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    await run(engine);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+// Reflected a day apart, in this order
+async function reflectDays(engine, thoughts) {
+  const ids = [];
+  for (const [index, thought] of thoughts.entries()) {
+    const { reflection } = await engine.reflectThought(thought, 'deep', false);
+    reflection.timestamp = new Date(Date.UTC(2024, 0, 1 + index)).toISOString();
+    ids.push(reflection.id);
+  }
+  return ids;
+}
+
+test('reflections on a concept split into branches by what else they are about', async () => {
+  await withEngine(async (engine) => {
+    const ids = await reflectDays(engine, [
+      'Art feels like music heard late at night',
+      'Art feels like music shared with friends late at night',
+      'Art made with clay and a hot kiln',
+      'Art made with clay, glaze and a slow kiln',
+      'Spreadsheets and invoices all afternoon'
+    ]);
+
+    const evolution = await engine.traceEvolution('art');
+    assert.equal(evolution.origin.id, ids[0]);
+    assert.deepEqual(evolution.timeline.map(entry => entry.id), ids.slice(0, 4));
+
+    const branches = evolution.branches.map(branch => branch.members.map(member => member.id));
+    assert.deepEqual(branches, [[ids[0], ids[1]], [ids[2], ids[3]]]);
+    const [music, clay] = evolution.branches;
+    assert.equal(music.forkPoint, null);
+    assert.deepEqual(clay.dominantKeywords[0], { keyword: 'made', count: 2 });
+    assert.deepEqual(clay.span, { start: '2024-01-03T00:00:00.000Z', end: '2024-01-04T00:00:00.000Z' });
+  });
+});
+
+test('a second child of the same reflection forks a new branch', async () => {
+  await withEngine(async (engine) => {
+    const ids = await reflectDays(engine, [
+      'Art feels like music heard late at night',
+      'Art feels like music shared with friends late at night',
+      'Art feels like music heard late at night in the rain'
+    ]);
+
+    const { branches } = await engine.traceEvolution('art');
+    assert.equal(branches.length, 2);
+    assert.equal(branches[1].forkPoint.id, ids[0]);
+    assert.deepEqual(branches[1].members.map(member => member.id), [ids[2]]);
+  });
+});
+
+test('branches are left out when not asked for', async () => {
+  await withEngine(async (engine) => {
+    await reflectDays(engine, ['Art feels like music heard late at night']);
+    assert.equal((await engine.traceEvolution('art', false)).branches, null);
+    assert.equal((await engine.traceEvolution('sculpture')).origin, null);
+  });
+});
+
+test('a new thought is traced back through the keywords it shares', async () => {
+  await withEngine(async (engine) => {
+    const ids = await reflectDays(engine, [
+      'Garden soil and seeds at dawn',
+      'Seeds become flowers; the garden teaches patience',
+      'The flowers fade but the patience remains',
+      'Invoices and spreadsheets all afternoon'
+    ]);
+
+    const { reflection } = await engine.reflectThought('Patience remains my quiet teacher', 'deep', true);
+    const lineage = reflection.evolution;
+
+    assert.deepEqual(lineage.map(step => step.id), [...ids.slice(0, 3), reflection.id]);
+    assert.equal(lineage[0].transformation, 'origin');
+    assert.deepEqual(lineage[0].sharedKeywords, ['garden', 'seeds']);
+    assert.deepEqual(lineage[2].sharedKeywords, ['patience', 'remains']);
+    assert.equal(lineage[3].current, true);
+
+    const { reflection: unrelated } = await engine.reflectThought('Thunder over the harbour', 'deep', true);
+    assert.deepEqual(unrelated.evolution, []);
+  });
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { exportReflections } from '../lib/exporters/index.js';
+import { renderMarkdown } from '../lib/exporters/markdown-exporter.js';
+import { renderHtml } from '../lib/exporters/html-exporter.js';
+import { localClock } from '../lib/exporters/formatting.js';
+
+async function withArchive(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-export-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    const { reflection: calm } = await engine.reflectThought(
+      'Walking in the quiet garden at dawn brings calm', 'deep', false, { tags: ['garden'] });
+    const { reflection: restless } = await engine.reflectThought(
+      'Walking in the quiet garden at dawn brings <restless> hands', 'abyss', false, { mood: 'uneasy' });
+    await run(engine, { calm, restless });
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+test('the Markdown journal anchors every entry and links mirrors inside the export', async () => {
+  await withArchive(async (engine, { calm, restless }) => {
+    const { content, count, extension } = exportReflections(engine, 'markdown');
+    assert.equal(count, 2);
+    assert.equal(extension, '.md');
+    assert.match(content, new RegExp(`<a id="r-${calm.id}"></a>`));
+    assert.match(content, new RegExp(`\\[Walking in the quiet garden at dawn brings calm\\]\\(#r-${calm.id}\\)`));
+    assert.match(content, /Tags: #garden/);
+    assert.match(content, /Mood: uneasy/);
+
+    // A mirror outside the filtered subset keeps its text but no link
+    const subset = exportReflections(engine, 'markdown', { mood: 'uneasy' });
+    assert.equal(subset.count, 1);
+    assert.match(subset.content, /brings calm _\(not in this export\)_/);
+    assert.doesNotMatch(subset.content, new RegExp(`r-${calm.id}`));
+    assert.match(subset.content, new RegExp(`r-${restless.id}`));
+  });
+});
+
+test('the HTML timeline escapes text and links mirrors to their entries', async () => {
+  await withArchive(async (engine, { calm }) => {
+    const { content, extension } = exportReflections(engine, 'html');
+    assert.equal(extension, '.html');
+    assert.match(content, /brings &lt;restless&gt; hands/);
+    assert.doesNotMatch(content, /<restless>/);
+    assert.match(content, new RegExp(`<article id="r-${calm.id}" class="deep">`));
+    assert.match(content, new RegExp(`<a href="#r-${calm.id}">`));
+    assert.doesNotMatch(content, /<script/);
+  });
+});
+
+test('JSON-LD describes reflections as schema.org works with their mirrors', async () => {
+  await withArchive(async (engine, { calm, restless }) => {
+    const document = JSON.parse(exportReflections(engine, 'jsonld').content);
+    assert.equal(document['@context']['@vocab'], 'https://schema.org/');
+
+    const node = document['@graph'].find(item => item['@id'] === `urn:mirrorpool:reflection:${restless.id}`);
+    assert.equal(node['@type'], 'CreativeWork');
+    assert.equal(node.dateCreated, restless.createdAt);
+    assert.equal(node.mood, 'uneasy');
+    assert.deepEqual(node.mirrors.map(mirror => mirror.reflection), [`urn:mirrorpool:reflection:${calm.id}`]);
+  });
+});
+
+test('an unknown export format or time zone is refused', async () => {
+  await withArchive(async (engine) => {
+    assert.throws(() => exportReflections(engine, 'pdf'), /Unknown export format: pdf/);
+    assert.throws(() => exportReflections(engine, 'markdown', {}, { timeZone: 'Nowhere/Special' }),
+      { name: 'Error', message: /^Unknown time zone: Nowhere\/Special/ });
+  });
+});
+
+function entry(id, createdAt, timestamp = createdAt) {
+  return {
+    id, thought: `Thought ${id}`, createdAt, timestamp, depth: 'deep', resonance: 0.5,
+    tags: [], mood: null, source: null, context: null, visits: 1, mirrors: [], questions: []
+  };
+}
+
+// Written late in the evening UTC, and revisited days later
+const entries = [
+  entry('a', '2024-03-01T23:30:00.000Z', '2024-03-05T09:00:00.000Z'),
+  entry('b', '2024-03-02T08:15:00.000Z')
+];
+const exportedAt = '2024-03-10T12:00:00.000Z';
+
+test('the clock reads timestamps in the given time zone', () => {
+  assert.deepEqual(localClock('Europe/Madrid')('2024-03-01T23:30:00.000Z'), { day: '2024-03-02', time: '00:30' });
+  assert.deepEqual(localClock('America/New_York')('2024-03-01T23:30:00.000Z'), { day: '2024-03-01', time: '18:30' });
+  assert.throws(() => localClock('Nowhere/Special'), RangeError);
+});
+
+test('the Markdown journal groups entries by the local day they were written', () => {
+  const madrid = renderMarkdown(entries, { exportedAt, timeZone: 'Europe/Madrid' });
+  assert.deepEqual(madrid.match(/^## .*/gm), ['## 2024-03-02']);
+  assert.match(madrid, /### 00:30 · deep/);
+
+  const newYork = renderMarkdown(entries, { exportedAt, timeZone: 'America/New_York' });
+  assert.deepEqual(newYork.match(/^## .*/gm), ['## 2024-03-01', '## 2024-03-02']);
+  assert.match(newYork, /### 18:30 · deep/);
+  assert.doesNotMatch(newYork, /2024-03-05/);
+});
+
+test('the HTML timeline groups entries by the local day they were written', () => {
+  const html = renderHtml(entries, { exportedAt, timeZone: 'America/New_York' });
+  assert.deepEqual(html.match(/<h2 id="day-[\d-]+">/g), ['<h2 id="day-2024-03-01">', '<h2 id="day-2024-03-02">']);
+  assert.match(html, /<time datetime="2024-03-01T23:30:00.000Z">18:30<\/time>/);
+});
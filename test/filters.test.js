@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { PatternDetector } from '../lib/pattern-detector.js';
+import { ConsciousnessTracker } from '../lib/consciousness-tracker.js';
+
+async function withEngine(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-filters-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    await run(engine, path);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+async function reflectAll(engine) {
+  const ids = {};
+  ids.dream = (await engine.reflectThought('Flying over the sea filled me with joy', 'deep', false, {
+    tags: ['Sleep', 'sea'], mood: 'Light', source: 'dream'
+  })).reflection.id;
+  ids.journal = (await engine.reflectThought('Finishing the clay bowl brought quiet joy', 'deep', false, {
+    tags: ['craft'], mood: 'calm', source: 'journal', context: 'studio evening'
+  })).reflection.id;
+  ids.reading = (await engine.reflectThought('The essay on grief stayed with me', 'deep', false, {
+    tags: ['sea', 'books'], source: 'reading'
+  })).reflection.id;
+  return ids;
+}
+
+test('tags, mood, source and context are stored and kept across restarts and revisits', async () => {
+  await withEngine(async (engine, path) => {
+    const ids = await reflectAll(engine);
+    const journal = engine.reflections.get(ids.journal);
+    assert.deepEqual(journal.tags, ['craft']);
+    assert.equal(journal.mood, 'calm');
+    assert.equal(journal.source, 'journal');
+    assert.equal(journal.context, 'studio evening');
+    assert.deepEqual(engine.reflections.get(ids.dream).tags, ['sleep', 'sea']);
+
+    // A revisit keeps whatever it does not restate
+    const { reflection } = await engine.reflectThought('Finishing the clay bowl brought quiet joy', 'abyss', false, {
+      mood: 'proud'
+    });
+    assert.deepEqual(reflection.tags, ['craft']);
+    assert.equal(reflection.mood, 'proud');
+    assert.equal(reflection.source, 'journal');
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.equal(reopened.reflections.get(ids.journal).mood, 'proud');
+    assert.deepEqual(reopened.reflections.get(ids.reading).tags, ['sea', 'books']);
+    await reopened.close();
+  });
+});
+
+test('an unknown source is refused', async () => {
+  await withEngine(async (engine) => {
+    await assert.rejects(
+      engine.reflectThought('A thought from nowhere', 'deep', false, { source: 'rumour' }),
+      /Unknown source: rumour/
+    );
+    assert.equal(engine.reflections.size, 0);
+  });
+});
+
+test('queryReflections needs every tag and accepts one source or a list', async () => {
+  await withEngine(async (engine) => {
+    const ids = await reflectAll(engine);
+    const query = filters => engine.queryReflections(filters).map(reflection => reflection.id);
+
+    assert.deepEqual(query({ tags: ['sea'] }), [ids.dream, ids.reading]);
+    assert.deepEqual(query({ tags: ['SEA', 'sleep'] }), [ids.dream]);
+    assert.deepEqual(query({ tags: ['sea', 'craft'] }), []);
+    assert.deepEqual(query({ source: 'journal' }), [ids.journal]);
+    assert.deepEqual(query({ source: ['dream', 'reading'] }), [ids.dream, ids.reading]);
+    assert.deepEqual(query({ mood: 'LIGHT' }), [ids.dream]);
+    assert.equal(query({}).length, 3);
+  });
+});
+
+test('evolution and patterns only look at the reflections in scope', async () => {
+  await withEngine(async (engine) => {
+    const ids = await reflectAll(engine);
+
+    const evolution = await engine.traceEvolution('joy', false, { source: 'journal' });
+    assert.equal(evolution.origin.id, ids.journal);
+    assert.deepEqual(evolution.timeline.map(entry => entry.id), [ids.journal]);
+
+    const detector = new PatternDetector(engine);
+    const all = await detector.discoverPatterns(['emotional'], 0);
+    const joy = all.patterns.find(pattern => pattern.name === 'joy');
+    assert.equal(joy.occurrences, 2);
+
+    const dreams = await detector.discoverPatterns(['emotional'], 0, { source: 'dream' });
+    assert.deepEqual(dreams.patterns.find(pattern => pattern.name === 'joy').instances, [ids.dream]);
+  });
+});
+
+test('a reflection echoing several thoughts records a synthesis moment that filters apply to', async () => {
+  await withEngine(async (engine) => {
+    const tracker = new ConsciousnessTracker(engine);
+    await engine.reflectThought('Walking by the sea at dawn', 'deep', false, { tags: ['sea'], source: 'journal' });
+    await engine.reflectThought('The sea at dawn felt endless', 'deep', false, { tags: ['sea'], source: 'dream' });
+    assert.equal(tracker.synthesisMoments.length, 0);
+
+    const { reflection } = await engine.reflectThought('Dawn by the sea again', 'deep', false, { tags: ['craft'] });
+    assert.ok(reflection.mirrors.length >= 2);
+    assert.equal(tracker.synthesisMoments.length, 1);
+    assert.equal(tracker.synthesisMoments[0].synthesis, 'Dawn by the sea again');
+
+    assert.equal((await tracker.findSynthesisMoments(2, false, { tags: ['sea'] })).count, 1);
+    assert.equal((await tracker.findSynthesisMoments(2, false, { tags: ['craft'] })).count, 0);
+    assert.equal((await tracker.findSynthesisMoments(2, false, { source: 'dream' })).count, 1);
+    assert.equal((await tracker.findSynthesisMoments(2, false, { source: 'reading' })).count, 0);
+  });
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { createImporter, importJournal } from '../lib/importers/index.js';
+
+async function withVault(notes, run) {
+  const root = await mkdtemp(join(tmpdir(), 'mirrorpool-import-'));
+  const vault = join(root, 'vault');
+  await mkdir(join(vault, 'Journal'), { recursive: true });
+  await mkdir(join(vault, '.obsidian'));
+  for (const [name, content] of Object.entries(notes)) {
+    await writeFile(join(vault, name), content);
+  }
+  const engine = new ReflectionEngine(join(root, 'archive'));
+  await engine.initialize();
+  try {
+    await run(engine, vault, root);
+  } finally {
+    await engine.close();
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+test('imported notes keep their original dates across a restart', async () => {
+  await withVault({
+    'Journal/Morning.md': '---\ndate: 2021-03-04T08:00:00Z\ntags: [walk]\nmood: Calm\n---\nThe light came in slowly over the hills. #dawn',
+    'Journal/2021-03-05 Evening.md': 'Thinking back on [[Morning|the morning]] and the long walk.',
+    '.obsidian/ignored.md': 'Settings are not notes.'
+  }, async (engine, vault, root) => {
+    const report = await importJournal(engine, createImporter('markdown', vault));
+    assert.deepEqual(report.imported.map(entry => entry.timestamp), [
+      '2021-03-04T08:00:00.000Z',
+      new Date('2021-03-05T00:00:00').toISOString()
+    ]);
+    assert.equal(report.links, 1);
+
+    const [morningId, eveningId] = report.imported.map(entry => entry.id);
+    const morning = engine.reflections.get(morningId);
+    assert.deepEqual(morning.tags, ['walk', 'dawn']);
+    assert.equal(morning.mood, 'calm');
+    assert.equal(morning.source, 'journal');
+    assert.equal(engine.reflections.get(eveningId).original, 'Thinking back on the morning and the long walk.');
+    assert.equal(engine.connections.get(eveningId).get(morningId).linked, true);
+
+    const reopened = new ReflectionEngine(join(root, 'archive'));
+    await reopened.initialize();
+    const stored = reopened.reflections.get(morningId);
+    assert.equal(stored.timestamp, '2021-03-04T08:00:00.000Z');
+    assert.equal(stored.createdAt, '2021-03-04T08:00:00.000Z');
+    assert.deepEqual(reopened.timeline.map(entry => entry.id), [morningId, eveningId]);
+    await reopened.close();
+  });
+});
+
+test('a note with an empty title is known by its file name', async () => {
+  await withVault({
+    'Journal/Morning.md': '---\ntitle:\ndate: 2021-03-04\n---\nThe light came in slowly over the hills.',
+    'Evening.md': '---\ntitle: [a, b]\n---\nThinking back on [[Journal/Morning]] and the long walk.',
+    'Night.md': 'Before sleep I remembered [[Evening]] and [[Nowhere]].'
+  }, async (engine, vault) => {
+    const { entries } = await createImporter('markdown', vault).read();
+    assert.deepEqual(entries.map(entry => entry.title).sort(), ['Evening', 'Morning', 'Night']);
+
+    const report = await importJournal(engine, createImporter('markdown', vault));
+    assert.equal(report.imported.length, 3);
+    assert.equal(report.links, 2);
+    assert.deepEqual(report.unresolvedLinks, [{ source: 'Night.md', link: 'Nowhere' }]);
+    assert.equal(engine.reflections.size, 3);
+  });
+});
+
+test('notes already in the archive are skipped', async () => {
+  await withVault({ 'Day.md': 'A day spent listening to rain on the roof.' }, async (engine, vault) => {
+    await importJournal(engine, createImporter('markdown', vault));
+    const again = await importJournal(engine, createImporter('markdown', vault), { dryRun: true });
+    assert.equal(again.imported.length, 0);
+    assert.match(again.skipped[0].reason, /already in the archive/);
+  });
+});
+
+test('a Day One export is imported with its creation dates and tags', async () => {
+  await withVault({}, async (engine, vault) => {
+    const file = join(vault, 'Journal.json');
+    await writeFile(file, JSON.stringify({
+      entries: [
+        { uuid: 'B', creationDate: '2020-06-02T21:15:00Z', text: 'Finished the book\\. Quiet evening\\!', tags: ['reading'] },
+        { uuid: 'A', creationDate: '2020-06-01T07:30:00Z', text: 'Coffee on the balcony before work.' },
+        { uuid: 'C', creationDate: '2020-06-03T09:00:00Z', text: '![](dayone-moment://ABC123)' },
+        { uuid: 'D', text: 'No date at all' }
+      ]
+    }));
+
+    const report = await importJournal(engine, createImporter('dayone', file));
+    assert.deepEqual(report.imported.map(entry => [entry.source, entry.timestamp]), [
+      [`${file}#A`, '2020-06-01T07:30:00.000Z'],
+      [`${file}#B`, '2020-06-02T21:15:00.000Z']
+    ]);
+    assert.deepEqual(report.skipped.map(entry => entry.reason).sort(), [
+      'entry has no valid creationDate',
+      'entry only holds media'
+    ]);
+
+    const book = engine.reflections.get(report.imported[1].id);
+    assert.equal(book.original, 'Finished the book. Quiet evening!');
+    assert.deepEqual(book.tags, ['reading']);
+    assert.equal(book.timestamp, '2020-06-02T21:15:00.000Z');
+  });
+});
+
+test('unknown formats and depths are refused', async () => {
+  await withVault({}, async (engine, vault) => {
+    assert.throws(() => createImporter('evernote', vault), /Unknown import format: evernote/);
+    await assert.rejects(
+      importJournal(engine, createImporter('markdown', vault), { depth: 'bottomless' }),
+      /Unknown depth: bottomless/
+    );
+  });
+});
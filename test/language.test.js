@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UNDETERMINED, detectLanguage, isStopWord, stem } from '../lib/language.js';
+import { tokenize } from '../lib/text-analysis.js';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+test('language is detected from stop words and Spanish spelling', () => {
+  assert.equal(detectLanguage(tokenize('Why do I keep returning to the same questions about my work?')), 'en');
+  assert.equal(detectLanguage(tokenize('¿Por qué vuelvo siempre a las mismas preguntas sobre mi trabajo?')), 'es');
+  assert.equal(detectLanguage(tokenize('Kiln clay glaze')), UNDETERMINED);
+});
+
+test('stop words depend on the language, or on any language when unknown', () => {
+  assert.equal(isStopWord('the', 'en'), true);
+  assert.equal(isStopWord('the', 'es'), false);
+  assert.equal(isStopWord('porque', UNDETERMINED), true);
+  assert.equal(isStopWord('garden', UNDETERMINED), false);
+});
+
+test('English word forms share a stem', () => {
+  for (const group of [
+    ['create', 'creating', 'created'],
+    ['hope', 'hopes'],
+    ['hop', 'hopping'],
+    ['memory', 'memories'],
+    ['darkness', 'dark']
+  ]) {
+    assert.equal(new Set(group.map(word => stem(word, 'en'))).size, 1, group.join(', '));
+  }
+  assert.equal(stem('glass', 'en'), 'glass');
+});
+
+test('Spanish word forms share a stem, accents folded', () => {
+  for (const group of [
+    ['creación', 'creaciones'],
+    ['trabajando', 'trabajar', 'trabajado'],
+    ['creando', 'crear']
+  ]) {
+    assert.equal(new Set(group.map(word => stem(word, 'es'))).size, 1, group.join(', '));
+  }
+});
+
+test('keywords are content words, one per stem, compared by stem', () => {
+  const engine = new ReflectionEngine('unused');
+  assert.deepEqual(engine.extractKeywords('I create and keep creating because creation heals me'),
+    ['create', 'keep', 'creation', 'heals']);
+  assert.equal(engine.keywordOverlap(['creating', 'gardens'], ['create', 'garden'], 'en'), 1);
+  assert.ok(engine.containsConcept('I kept creating all night', 'the creation', 'en') === false);
+  assert.ok(engine.containsConcept('I kept creating all night', 'create', 'en'));
+  assert.ok(engine.containsConcept('Estoy creando algo nuevo', 'crear', 'es'));
+});
@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+async function withEngine(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-management-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    await run(engine, path);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+const CALM = 'Walking in the quiet garden at dawn brings calm';
+const RESTLESS = 'Walking in the quiet garden at dawn brings restless hands';
+const CLAY = 'Restless hands want clay';
+
+test('getReflection returns the reflection with its connections, strongest first', async () => {
+  await withEngine(async (engine) => {
+    const { reflection: calm } = await engine.reflectThought(CALM, 'deep', false);
+    const { reflection: restless } = await engine.reflectThought(RESTLESS, 'deep', false);
+    await engine.reflectThought(CLAY, 'deep', false);
+
+    const { reflection, connections } = engine.getReflection(restless.id);
+    assert.equal(reflection.original, RESTLESS);
+    assert.equal(connections.length, 2);
+    assert.equal(connections[0].id, calm.id);
+    assert.equal(connections[0].thought, CALM);
+    assert.ok(connections[0].weight >= connections[1].weight);
+
+    assert.throws(() => engine.getReflection('missing'), /No reflection with id missing/);
+  });
+});
+
+test('listReflections pages with a cursor and keeps pages stable as reflections are added', async () => {
+  await withEngine(async (engine) => {
+    for (let i = 0; i < 5; i++) {
+      const { reflection } = await engine.reflectThought(`Numbered thought ${i}`, 'surface', false);
+      reflection.timestamp = new Date(Date.UTC(2024, 0, 1 + i)).toISOString();
+    }
+
+    const first = engine.listReflections({ limit: 2, order: 'asc' });
+    assert.equal(first.total, 5);
+    assert.deepEqual(first.reflections.map(item => item.thought), ['Numbered thought 0', 'Numbered thought 1']);
+    assert.ok(first.nextCursor);
+
+    // A newer reflection lands after the cursor instead of shifting the pages
+    await engine.reflectThought('A late arrival', 'surface', false);
+    const second = engine.listReflections({ limit: 2, order: 'asc', cursor: first.nextCursor });
+    assert.deepEqual(second.reflections.map(item => item.thought), ['Numbered thought 2', 'Numbered thought 3']);
+
+    const third = engine.listReflections({ limit: 2, order: 'asc', cursor: second.nextCursor });
+    assert.deepEqual(third.reflections.map(item => item.thought), ['Numbered thought 4', 'A late arrival']);
+    assert.equal(third.nextCursor, null);
+
+    const newest = engine.listReflections({ limit: 1 });
+    assert.equal(newest.reflections[0].thought, 'A late arrival');
+    assert.equal(newest.reflections[0].visits, 1);
+  });
+});
+
+test('listReflections refuses bad cursors, sorts and orders', async () => {
+  await withEngine(async (engine) => {
+    await engine.reflectThought(CALM, 'deep', false);
+    await engine.reflectThought(CLAY, 'deep', false);
+    const { nextCursor } = engine.listReflections({ limit: 1 });
+
+    assert.throws(() => engine.listReflections({ cursor: 'not a cursor' }), /Invalid cursor/);
+    assert.throws(() => engine.listReflections({ cursor: nextCursor, sort: 'resonance' }),
+      /Cursor was issued for sort "time", not "resonance"/);
+    assert.throws(() => engine.listReflections({ sort: 'length' }), /Unknown sort: length/);
+    assert.throws(() => engine.listReflections({ order: 'sideways' }), /Unknown order: sideways/);
+  });
+});
+
+test('updateReflection corrects metadata and depth and persists them', async () => {
+  await withEngine(async (engine, path) => {
+    const { reflection } = await engine.reflectThought(CALM, 'deep', false, { tags: ['garden'] });
+
+    await engine.updateReflection(reflection.id, { tags: ['Morning'], mood: 'Calm', depth: 'abyss' });
+    await assert.rejects(engine.updateReflection(reflection.id, { depth: 'bottomless' }), /Unknown depth: bottomless/);
+    await assert.rejects(engine.updateReflection(reflection.id, { thought: '   ' }), /thought cannot be empty/);
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    const stored = reopened.reflections.get(reflection.id);
+    assert.deepEqual(stored.tags, ['morning']);
+    assert.equal(stored.mood, 'calm');
+    assert.equal(stored.depth, 'abyss');
+    assert.ok(stored.updatedAt);
+    await reopened.close();
+  });
+});
+
+test('updating the text finds its echoes again', async () => {
+  await withEngine(async (engine) => {
+    const { reflection: calm } = await engine.reflectThought(CALM, 'deep', false);
+    const { reflection: clay } = await engine.reflectThought(CLAY, 'deep', false);
+    assert.deepEqual(clay.mirrors, []);
+
+    const { reflection, connections } = await engine.updateReflection(clay.id, { thought: RESTLESS });
+    assert.equal(reflection.original, RESTLESS);
+    assert.deepEqual(reflection.mirrors.map(mirror => mirror.id), [calm.id]);
+    assert.deepEqual(connections.map(connection => connection.id), [calm.id]);
+  });
+});
+
+test('a new text moves the reflection to the id of that text', async () => {
+  await withEngine(async (engine, path) => {
+    const { reflection: calm } = await engine.reflectThought(CALM, 'deep', false);
+    const { reflection: clay } = await engine.reflectThought(CLAY, 'deep', false);
+    const oldId = clay.id;
+
+    const { reflection } = await engine.updateReflection(oldId, { thought: RESTLESS });
+    assert.equal(reflection.id, engine.generateHash(RESTLESS));
+    assert.equal(engine.reflections.has(oldId), false);
+    assert.equal(engine.timeline.some(entry => entry.id === oldId), false);
+    assert.equal(engine.getReflectionHistory({ thought: RESTLESS }).id, reflection.id);
+    assert.deepEqual((await engine.traceRipples(RESTLESS, 1)).affectedThoughts, [CALM]);
+
+    // Reflecting the corrected text again revisits it instead of adding a twin
+    await engine.reflectThought(RESTLESS, 'deep', false);
+    assert.equal(engine.reflections.size, 2);
+    assert.equal(engine.reflections.get(reflection.id).revisions.length, 2);
+
+    await assert.rejects(engine.updateReflection(reflection.id, { thought: CALM }), /already reflection/);
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.deepEqual([...reopened.reflections.keys()].sort(), [calm.id, reflection.id].sort());
+    await reopened.close();
+  });
+});
+
+test('a new depth recomputes the resonance', async () => {
+  await withEngine(async (engine) => {
+    await engine.reflectThought(CALM, 'deep', false);
+    const { reflection: restless } = await engine.reflectThought(RESTLESS, 'surface', false);
+    const surface = restless.resonance;
+    assert.ok(surface > 0);
+
+    const { reflection } = await engine.updateReflection(restless.id, { depth: 'abyss' });
+    assert.ok(reflection.resonance > surface);
+    assert.equal(reflection.resonance, engine.calculateResonance(reflection.mirrors, 'abyss'));
+  });
+});
+
+test('deleteReflection removes the reflection, its edges and its postings', async () => {
+  await withEngine(async (engine, path) => {
+    const { reflection: calm } = await engine.reflectThought(CALM, 'deep', false);
+    const { reflection: restless } = await engine.reflectThought(RESTLESS, 'deep', false);
+
+    const result = await engine.deleteReflection(restless.id);
+    assert.deepEqual(result, { deleted: restless.id, thought: RESTLESS, removedConnections: 1 });
+    assert.equal(engine.connections.has(calm.id), false);
+    assert.deepEqual((await engine.findEchoes(RESTLESS, 'deep')).map(echo => echo.id), [calm.id]);
+    await assert.rejects(engine.deleteReflection(restless.id), /No reflection with id/);
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.deepEqual([...reopened.reflections.keys()], [calm.id]);
+    assert.equal(reopened.serializeConnections().length, 0);
+    await reopened.close();
+  });
+});
+
+test('deleteReflection takes the reflection out of its neighbours\' mirrors', async () => {
+  await withEngine(async (engine, path) => {
+    const { reflection: calm } = await engine.reflectThought(CALM, 'deep', false);
+    const { reflection: restless } = await engine.reflectThought(RESTLESS, 'deep', false);
+    assert.deepEqual(restless.mirrors.map(mirror => mirror.id), [calm.id]);
+
+    await engine.deleteReflection(calm.id);
+    assert.deepEqual(engine.reflections.get(restless.id).mirrors, []);
+    assert.equal(engine.reflections.get(restless.id).resonance, 0);
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.deepEqual(reopened.reflections.get(restless.id).mirrors, []);
+    await reopened.close();
+  });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ENGINE_VERSION, ReflectionEngine } from '../lib/reflection-engine.js';
+
+async function withDirectory(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-metadata-'));
+  try {
+    await run(path);
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+test('text metadata is stored with every reflection', async () => {
+  await withDirectory(async (path) => {
+    const engine = new ReflectionEngine(path);
+    await engine.initialize();
+    const { reflection } = await engine.reflectThought('Why do I keep creating late at night?', 'deep', false);
+    await engine.close();
+
+    const stored = JSON.parse(await readFile(join(path, `${reflection.id}.json`), 'utf8'));
+    assert.equal(stored.language, 'en');
+    assert.deepEqual(stored.keywords, ['keep', 'creating', 'late', 'night']);
+    assert.deepEqual(stored.tokens, ['why', 'do', 'i', 'keep', 'creating', 'late', 'at', 'night']);
+    assert.equal(stored.wordCount, 8);
+    assert.equal(stored.engineVersion, ENGINE_VERSION);
+  });
+});
+
+test('outdated metadata is refreshed on load and saved by reindex', async () => {
+  await withDirectory(async (path) => {
+    const engine = new ReflectionEngine(path);
+    await engine.initialize();
+    const { reflection } = await engine.reflectThought('Clay and kilns at dawn', 'deep', false);
+    await engine.reflectThought('Numbers never sleep', 'deep', false);
+    await engine.close();
+
+    // As written by an older engine
+    const file = join(path, `${reflection.id}.json`);
+    const old = JSON.parse(await readFile(file, 'utf8'));
+    delete old.tokens;
+    await writeFile(file, JSON.stringify({ ...old, keywords: ['stale'], engineVersion: 0 }));
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.equal(reopened.loadReport.stale, 1);
+    assert.deepEqual(reopened.reflections.get(reflection.id).keywords, ['clay', 'kilns', 'dawn']);
+
+    assert.deepEqual(await reopened.reindex(), { total: 2, reindexed: 1, engineVersion: ENGINE_VERSION });
+    assert.equal((await reopened.reindex()).reindexed, 0);
+    assert.equal((await reopened.reindex({ force: true })).reindexed, 2);
+    await reopened.close();
+
+    const saved = JSON.parse(await readFile(file, 'utf8'));
+    assert.equal(saved.engineVersion, ENGINE_VERSION);
+    assert.deepEqual(saved.tokens, ['clay', 'and', 'kilns', 'at', 'dawn']);
+  });
+});
@@ -0,0 +1,304 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PatternDetector } from '../lib/pattern-detector.js';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { ACTIVITY_FILE } from '../lib/activity-log.js';
+import { EmotionLexicon } from '../lib/emotion-lexicon.js';
+import { ConceptMiner } from '../lib/concept-miner.js';
+
+// Plain reflections, one a day from 2024-01-01, in the shape the engine stores
+function reflectionsOf(thoughts, { language = 'en', depth = 'deep' } = {}) {
+  return thoughts.map((original, index) => ({
+    id: `r${index}`,
+    original,
+    language,
+    depth,
+    timestamp: new Date(Date.UTC(2024, 0, 1 + index)).toISOString()
+  }));
+}
+
+test('the lexicon matches word forms, negations and intensifiers', () => {
+  const lexicon = new EmotionLexicon();
+
+  const hopes = lexicon.analyze('My hopes for the letter', 'en');
+  assert.deepEqual(hopes.get('hope').words, new Set(['hopes']));
+
+  const negated = lexicon.analyze('I am not happy about it', 'en');
+  assert.deepEqual([negated.get('joy').hits, negated.get('joy').negated], [0, 1]);
+  assert.equal(lexicon.analyze("I wasn't afraid", 'en').get('fear').hits, 0);
+
+  // A clause break ends the negation
+  assert.equal(lexicon.analyze('Not happy, but hopeful', 'en').get('hope').hits, 1);
+  assert.equal(lexicon.analyze('Not happy but hopeful', 'en').get('hope').hits, 1);
+
+  assert.equal(lexicon.analyze('deeply grateful', 'en').get('gratitude').score, 1.6);
+  assert.equal(lexicon.analyze('slightly anxious', 'en').get('fear').score, 0.45);
+
+  assert.equal(lexicon.analyze('Tengo esperanza', 'es').get('hope').hits, 1);
+  // An undetermined language is read in every bundled one
+  assert.equal(lexicon.analyze('esperanza', 'und').get('hope').hits, 1);
+});
+
+test('a lexicon extension adds words and emotions, weight 0 removes a word', () => {
+  const lexicon = new EmotionLexicon({ en: { emotions: { awe: { awestruck: 1 }, love: { care: 0 } } } });
+  assert.equal(lexicon.analyze('Awestruck by the storm', 'en').get('awe').hits, 1);
+  assert.equal(lexicon.analyze('Take care', 'en').has('love'), false);
+  assert.ok(lexicon.emotions.has('awe'));
+});
+
+test('emotional patterns measure how many reflections express each emotion', async () => {
+  const detector = new PatternDetector();
+  const reflections = reflectionsOf([
+    'A happy morning with coffee',
+    'Worried about the rent',
+    'Not happy with the meeting',
+    'Grateful and happy after the call'
+  ]);
+  reflections[3].depth = 'abyss';
+
+  const patterns = await detector.analyzePatternType('emotional', reflections);
+  const joy = patterns.find(pattern => pattern.name === 'joy');
+  assert.equal(joy.occurrences, 2);
+  assert.equal(joy.strength, 0.5);
+  assert.equal(joy.negated, 1);
+  assert.deepEqual(joy.instances, ['r0', 'r3']);
+  assert.deepEqual(joy.words, ['happy']);
+  assert.equal(joy.depth, 0.675);
+  assert.equal(joy.firstSeen.toISOString(), reflections[0].timestamp);
+  assert.equal(joy.lastSeen.toISOString(), reflections[3].timestamp);
+  assert.equal(joy.trajectory, 'stable');
+
+  // Gratitude shows up in only one of four reflections, below the default 0.3 threshold
+  assert.equal(patterns.some(pattern => pattern.name === 'gratitude'), false);
+  assert.ok(detector.patterns.has('emotional-joy'));
+});
+
+test('an emotion that grows more frequent is ascending', async () => {
+  const detector = new PatternDetector();
+  const lonelier = [0, 0, 0, 0, 0, 1, 0, 1, 1, 1, 1, 1];
+  const thoughts = flags => flags.map(lonely => lonely ? 'Lonely evening at home' : 'Errands in town');
+
+  const [loneliness] = (await detector.analyzePatternType('emotional', reflectionsOf(thoughts(lonelier))))
+    .filter(pattern => pattern.name === 'loneliness');
+  assert.equal(loneliness.trajectory, 'ascending');
+  assert.deepEqual(loneliness.trend.series.map(bucket => bucket.value), [0, 0.333, 0.667, 1]);
+
+  const [faded] = (await detector.analyzePatternType('emotional', reflectionsOf(thoughts([...lonelier].reverse()))))
+    .filter(pattern => pattern.name === 'loneliness');
+  assert.equal(faded.trajectory, 'descending');
+
+  // Four reflections are too few to call a trend
+  const [early] = (await detector.analyzePatternType('emotional', reflectionsOf(thoughts([0, 1, 1, 1]))))
+    .filter(pattern => pattern.name === 'loneliness');
+  assert.equal(early.trajectory, 'stable');
+});
+
+const STUDIO_WEEK = [
+  'Talking to my inner child about the garden',
+  'My inner child wants to paint the garden',
+  'I feel the inner child again in the studio',
+  'Painting in the studio all morning',
+  'Paint drying in the studio, thinking about rent'
+];
+
+test('the concept miner finds recurring keywords and phrases, not filler', () => {
+  const concepts = new ConceptMiner().mine(reflectionsOf(STUDIO_WEEK));
+  assert.deepEqual(concepts.map(concept => [concept.name, concept.kind, concept.reflections]), [
+    ['inner child', 'phrase', ['r0', 'r1', 'r2']],
+    // "paint" and "painting" share a stem
+    ['paint', 'keyword', ['r1', 'r3', 'r4']],
+    ['studio', 'keyword', ['r2', 'r3', 'r4']],
+    ['garden', 'keyword', ['r0', 'r1']]
+  ]);
+  // "inner" and "child" only ever appear together, so only the phrase is reported
+  assert.equal(concepts.some(concept => concept.name === 'child'), false);
+  assert.deepEqual(concepts.find(concept => concept.name === 'paint').related, ['studio']);
+  assert.deepEqual(concepts.find(concept => concept.name === 'garden').related, ['inner child']);
+
+  assert.deepEqual(new ConceptMiner({ minSupport: 4 }).mine(reflectionsOf(STUDIO_WEEK)), []);
+});
+
+test('conceptual patterns weigh recurrence, spread over time and depth', async () => {
+  const detector = new PatternDetector();
+  const patterns = await detector.analyzePatternType('conceptual', reflectionsOf(STUDIO_WEEK));
+
+  const inner = patterns.find(pattern => pattern.name === 'inner child');
+  assert.deepEqual([inner.recurrence, inner.spread, inner.depth], [1, 0.6, 0.5]);
+  assert.equal(inner.strength, 0.78);
+  assert.deepEqual(inner.relatedConcepts, ['garden']);
+
+  const garden = patterns.find(pattern => pattern.name === 'garden');
+  assert.deepEqual([garden.recurrence, garden.spread, garden.strength], [0.667, 0.4, 0.553]);
+
+  const capped = new PatternDetector(null, { maxConcepts: 2 });
+  assert.equal((await capped.analyzePatternType('conceptual', reflectionsOf(STUDIO_WEEK))).length, 2);
+  assert.deepEqual(await detector.analyzePatternType('conceptual', []), []);
+});
+
+async function withActivity(entries, run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-patterns-'));
+  await writeFile(join(path, ACTIVITY_FILE), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    await run(engine);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+const SIX_DAYS = reflectionsOf([
+  'Coffee and a slow start',
+  'Rain against the window',
+  'A long call with my sister',
+  'Clearing out the shed',
+  'Bread in the oven',
+  'Quiet evening reading'
+]);
+SIX_DAYS[1].depth = 'surface';
+SIX_DAYS[4].depth = 'surface';
+SIX_DAYS[0].revisions = [{ timestamp: SIX_DAYS[0].timestamp }, { timestamp: SIX_DAYS[2].timestamp }];
+
+const ACTIVITY = [
+  { at: '2024-01-01T10:00:00.000Z', session: 's1', tool: 'depth_diving', thought: 'r1', reachedDepth: 3 },
+  { at: '2024-01-01T10:05:00.000Z', session: 's1', tool: 'reflect_thought', thought: 'r1' },
+  { at: '2024-01-01T12:00:00.000Z', session: 's1', tool: 'depth_diving', thought: 'r2', reachedDepth: 2 },
+  { at: '2024-01-02T09:00:00.000Z', session: 's2', tool: 'search_reflections' },
+  { at: '2024-01-02T09:02:00.000Z', session: 's2', tool: 'reflect_thought', thought: 'r3' },
+  { at: '2024-01-03T09:00:00.000Z', session: 's3', tool: 'search_reflections' },
+  { at: '2024-01-03T09:10:00.000Z', session: 's3', tool: 'reflect_thought', thought: 'r4' }
+];
+
+test('behavioral patterns describe rhythm, depth, length and revisits', async () => {
+  const detector = new PatternDetector();
+  const patterns = await detector.analyzePatternType('behavioral', SIX_DAYS, {}, 0);
+  const byName = new Map(patterns.map(pattern => [pattern.name, pattern]));
+
+  const rhythm = byName.get('daily reflection');
+  assert.deepEqual([rhythm.strength, rhythm.medianGapDays, rhythm.perWeek, rhythm.activeDays], [1, 1, 6, 6]);
+  assert.equal(byName.get('deep reflections').strength, 0.667);
+  assert.deepEqual(byName.get('surface reflections').instances, ['r1', 'r4']);
+  assert.equal(byName.get('brief reflections').strength, 1);
+
+  const revisits = byName.get('revisiting thoughts');
+  assert.deepEqual([revisits.occurrences, revisits.visits, revisits.medianDaysBetweenVisits], [1, 1, 2]);
+  // Without an engine there is no activity log to read
+  assert.equal(patterns.some(pattern => pattern.tools), false);
+
+  // The threshold belongs to the call: the next one falls back to the default
+  const defaults = await detector.analyzePatternType('behavioral', SIX_DAYS);
+  assert.ok(defaults.length < patterns.length);
+  assert.ok(defaults.every(pattern => pattern.strength > 0.3));
+});
+
+test('tool habits and abandoned dives come from the activity log', async () => {
+  await withActivity(ACTIVITY, async (engine) => {
+    const detector = new PatternDetector(engine);
+    const patterns = await detector.analyzePatternType('behavioral', SIX_DAYS);
+    const byName = new Map(patterns.map(pattern => [pattern.name, pattern]));
+
+    const sequence = byName.get('search_reflections → reflect_thought');
+    assert.deepEqual(sequence.tools, ['search_reflections', 'reflect_thought']);
+    assert.deepEqual([sequence.strength, sequence.occurrences], [1, 2]);
+    assert.deepEqual(sequence.instances, ['r3', 'r4']);
+    // Seen once, or across a gap longer than a session: no habit
+    assert.equal(byName.has('depth_diving → reflect_thought'), false);
+    assert.equal(byName.has('reflect_thought → depth_diving'), false);
+
+    const abandoned = byName.get('abandoned dives');
+    assert.deepEqual([abandoned.strength, abandoned.dives, abandoned.averageLevelsReached], [0.5, 2, 2.5]);
+    assert.deepEqual(abandoned.instances, ['r2']);
+  });
+});
+
+function temporalPatterns(reflections, options) {
+  const detector = new PatternDetector(null, options);
+  return detector.analyzePatternType('temporal', reflections, {}, 0).then(patterns =>
+    new Map(patterns.map(pattern => [pattern.name, pattern])));
+}
+
+function at(timestamps) {
+  return timestamps.map((timestamp, index) => ({
+    id: `r${index}`, original: `Entry ${index}`, language: 'en', depth: 'deep', timestamp
+  }));
+}
+
+test('parts of the day and weekdays are read on the configured clock', async () => {
+  // Late Monday evening in New York is Tuesday lunchtime in Tokyo
+  const reflections = at(['2024-01-02T03:00:00.000Z', '2024-01-09T03:30:00.000Z']);
+
+  const newYork = await temporalPatterns(reflections, { timeZone: 'America/New_York' });
+  assert.equal(newYork.get('evening reflections').peakHour, 22);
+  assert.equal(newYork.get('Monday reflections').occurrences, 2);
+
+  const tokyo = await temporalPatterns(reflections, { timeZone: 'Asia/Tokyo' });
+  assert.equal(tokyo.get('afternoon reflections').strength, 1);
+  assert.equal(tokyo.get('Tuesday reflections').timeZone, 'Asia/Tokyo');
+  assert.equal(tokyo.has('Monday reflections'), false);
+});
+
+test('streaks, long silences and bursts are found by local day', async () => {
+  const patterns = await temporalPatterns(at([
+    '2024-01-01T09:00:00.000Z',
+    '2024-01-02T09:00:00.000Z',
+    '2024-01-03T09:00:00.000Z',
+    '2024-01-15T08:00:00.000Z',
+    '2024-01-15T09:00:00.000Z',
+    '2024-01-15T10:00:00.000Z',
+    '2024-01-15T11:00:00.000Z'
+  ]), { timeZone: 'UTC' });
+
+  const streaks = patterns.get('reflection streaks');
+  assert.equal(streaks.strength, 0.75);
+  assert.deepEqual(streaks.longestStreak, { days: 3, from: '2024-01-01', to: '2024-01-03' });
+  assert.equal(streaks.currentStreak, 0);
+
+  const silences = patterns.get('long silences');
+  assert.deepEqual([silences.strength, silences.longestGapDays, silences.silentShare], [0.917, 11, 0.733]);
+  assert.deepEqual(silences.gaps, [{ from: '2024-01-04', to: '2024-01-14', days: 11 }]);
+  assert.deepEqual(silences.instances, ['r3']);
+
+  const bursts = patterns.get('bursts');
+  assert.deepEqual([bursts.strength, bursts.typicalPerDay, bursts.burstShare], [0.75, 1, 0.571]);
+  assert.deepEqual(bursts.bursts, [{ date: '2024-01-15', reflections: 4 }]);
+
+  // A longer streak requirement leaves none
+  const strict = await temporalPatterns(at(['2024-01-01T09:00:00.000Z', '2024-01-02T09:00:00.000Z',
+    '2024-01-03T09:00:00.000Z']), { timeZone: 'UTC', temporal: { minStreak: 4 } });
+  assert.equal(strict.has('reflection streaks'), false);
+});
+
+test('an unknown time zone or fewer than two cycles is refused up front', () => {
+  assert.throws(() => new PatternDetector(null, { timeZone: 'Nowhere/Special' }),
+    { name: 'Error', message: /^Unknown time zone: Nowhere\/Special/ });
+  assert.throws(() => new PatternDetector(null, { temporal: { minCycles: 1 } }), /minCycles must be a whole number of at least 2/);
+  assert.throws(() => new PatternDetector(null, { temporal: { minCycles: 2.5 } }), /minCycles/);
+  assert.equal(new PatternDetector(null, { timeZone: 'Asia/Tokyo', temporal: { minCycles: 2 } }).timeZone, 'Asia/Tokyo');
+});
+
+test('concepts that come back on a weekday or a steady interval are periodic', async () => {
+  const reflections = [];
+  for (let day = 1; day <= 28; day++) {
+    const date = new Date(Date.UTC(2024, 0, day, 9));
+    const parts = ['Errands in town.'];
+    if (date.getUTCDay() === 0) parts.push('Pottery class tonight.');
+    if ((day - 1) % 3 === 0) parts.push('Swimming laps.');
+    reflections.push({ id: `r${day}`, original: parts.join(' '), language: 'en', depth: 'deep', timestamp: date.toISOString() });
+  }
+
+  const patterns = await temporalPatterns(reflections, { timeZone: 'UTC' });
+  const pottery = patterns.get('pottery class on Sundays');
+  assert.deepEqual([pottery.strength, pottery.occurrences, pottery.weekday], [1, 4, 'Sunday']);
+  assert.deepEqual(pottery.themes, ['pottery class']);
+  // The weekly cycle already covers it
+  assert.equal(patterns.has('pottery class every 7 days'), false);
+
+  const swimming = patterns.get('swimming laps every 3 days');
+  assert.deepEqual([swimming.strength, swimming.periodDays, swimming.occurrences], [1, 3, 10]);
+  // Something written every day has no cycle of its own
+  assert.equal([...patterns.keys()].some(name => name.startsWith('errands')), false);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  REFLECTION_SCHEMA_VERSION,
+  ReflectionSchemaError,
+  migrateReflection,
+  normalizeReflection
+} from '../lib/reflection-schema.js';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+// As written before the schema was versioned
+const unversioned = {
+  id: 'legacy01',
+  thought: 'An old thought about the sea',
+  timestamp: '2020-05-01T10:00:00.000Z'
+};
+
+test('an unversioned record is migrated to the current version', () => {
+  const reflection = normalizeReflection(unversioned);
+
+  assert.equal(reflection.schemaVersion, REFLECTION_SCHEMA_VERSION);
+  assert.equal(reflection.original, 'An old thought about the sea');
+  assert.equal(reflection.thought, undefined);
+  assert.deepEqual(reflection.mirrors, []);
+  assert.equal(reflection.resonance, 0);
+  assert.equal(reflection.depth, 'deep');
+  assert.equal(reflection.evolution, null);
+  assert.equal(reflection.createdAt, unversioned.timestamp);
+  assert.deepEqual(reflection.revisions, [{
+    revision: 1,
+    timestamp: unversioned.timestamp,
+    depth: 'deep',
+    resonance: 0,
+    mirrors: []
+  }]);
+  // The stored record is left as it was
+  assert.equal(unversioned.schemaVersion, undefined);
+});
+
+test('a version 1 record keeps its state as the first revision', () => {
+  const reflection = migrateReflection({
+    schemaVersion: 1,
+    id: 'v1',
+    original: 'Mirrors within mirrors',
+    timestamp: '2021-01-02T03:04:05.000Z',
+    depth: 'abyss',
+    resonance: 0.4,
+    evolution: null,
+    mirrors: [{ id: 'legacy01', similarity: 0.3, keywordMatch: 0.5, original: 'ignored' }]
+  });
+
+  assert.equal(reflection.schemaVersion, 2);
+  assert.equal(reflection.createdAt, '2021-01-02T03:04:05.000Z');
+  assert.deepEqual(reflection.revisions[0].mirrors, [{ id: 'legacy01', similarity: 0.3, keywordMatch: 0.5 }]);
+  assert.equal(reflection.revisions[0].depth, 'abyss');
+});
+
+test('records from a newer version or in the wrong shape are rejected', () => {
+  assert.throws(() => migrateReflection({ ...unversioned, schemaVersion: REFLECTION_SCHEMA_VERSION + 1 }),
+    /newer than supported/);
+  assert.throws(() => migrateReflection([]), ReflectionSchemaError);
+  assert.throws(() => normalizeReflection({ ...unversioned, depth: 'shallow' }), /depth must be one of/);
+  assert.throws(() => normalizeReflection({ ...unversioned, timestamp: 'yesterday' }), /timestamp must be an ISO date/);
+});
+
+test('the engine loads legacy files and skips broken ones', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-schema-'));
+  await writeFile(join(path, 'legacy01.json'), JSON.stringify(unversioned));
+  await writeFile(join(path, 'broken.json'), JSON.stringify({ id: 'broken', schemaVersion: REFLECTION_SCHEMA_VERSION }));
+  await writeFile(join(path, 'torn.json'), '{"id": "torn"');
+
+  const engine = new ReflectionEngine(path);
+  const skipped = [];
+  engine.on('reflection-skipped', event => skipped.push(event));
+  try {
+    await engine.initialize();
+    assert.equal(engine.reflections.get('legacy01').original, 'An old thought about the sea');
+    assert.equal(engine.loadReport.loaded, 1);
+    assert.equal(engine.loadReport.migrated, 1);
+    assert.equal(skipped.length, 2);
+    assert.ok(skipped.some(({ error }) => /Invalid reflection/.test(error)));
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+});
+
+test('reflections survive a restart', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-schema-'));
+  try {
+    const engine = new ReflectionEngine(path);
+    await engine.initialize();
+    const { reflection } = await engine.reflectThought('Why do I make things?', 'deep', false);
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.equal(reopened.reflections.get(reflection.id).original, 'Why do I make things?');
+    assert.deepEqual(reopened.timeline.map(entry => entry.id), [reflection.id]);
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { ReflectionWatcher } from '../lib/reflection-watcher.js';
+
+async function withEngines(backend, run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-watch-'));
+  const watched = new ReflectionEngine(path, { storage: backend, watch: { debounce: 30 } });
+  const writer = new ReflectionEngine(path, { storage: backend });
+  await watched.initialize();
+  await writer.initialize();
+  try {
+    await run(watched, writer, path);
+  } finally {
+    await watched.close();
+    await writer.close();
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+function nextSync(engine) {
+  return once(engine, 'reflections-synced', { signal: AbortSignal.timeout(5000) }).then(([report]) => report);
+}
+
+test('a burst of file events is debounced into one pass', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-watch-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    const watcher = new ReflectionWatcher(engine, { debounce: 30 });
+    const passes = [];
+    watcher.sync = async names => passes.push(names);
+
+    watcher.schedule('a.json');
+    watcher.schedule('b.json');
+    watcher.schedule('a.json');
+    watcher.schedule('a.json.1234.abcd.tmp');
+    watcher.schedule('notes.txt');
+    await sleep(100);
+    assert.deepEqual(passes, [['a.json', 'b.json']]);
+
+    // An event without a file name asks for a full scan
+    watcher.schedule('c.json');
+    watcher.schedule(null);
+    await sleep(100);
+    assert.deepEqual(passes, [['a.json', 'b.json'], null]);
+    watcher.stop();
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+});
+
+test('directory: reflections added, modified and removed elsewhere are taken in', async () => {
+  await withEngines('directory', async (watched, writer, path) => {
+    const added = once(watched, 'reflection-added', { signal: AbortSignal.timeout(5000) });
+    let synced = nextSync(watched);
+    const { reflection } = await writer.reflectThought('The river at dawn', 'deep', false);
+    assert.deepEqual(await synced, { added: [reflection.id], modified: [], removed: [] });
+    assert.equal((await added)[0].source, `${reflection.id}.json`);
+    assert.equal(watched.reflections.get(reflection.id).original, 'The river at dawn');
+
+    // Edited by hand: the new text is analyzed again
+    synced = nextSync(watched);
+    const file = join(path, `${reflection.id}.json`);
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    await writeFile(file, JSON.stringify({ ...data, original: 'The river at dawn, in fog' }));
+    assert.deepEqual(await synced, { added: [], modified: [reflection.id], removed: [] });
+    assert.ok(watched.reflections.get(reflection.id).keywords.includes('fog'));
+
+    synced = nextSync(watched);
+    await rm(file);
+    assert.deepEqual(await synced, { added: [], modified: [], removed: [reflection.id] });
+    assert.equal(watched.reflections.has(reflection.id), false);
+  });
+});
+
+test('jsonl: changes appended by another process are taken in', async () => {
+  await withEngines('jsonl', async (watched, writer) => {
+    let synced = nextSync(watched);
+    const { reflection } = await writer.reflectThought('The river at dawn', 'deep', false);
+    assert.deepEqual((await synced).added, [reflection.id]);
+
+    synced = nextSync(watched);
+    await writer.deleteReflection(reflection.id);
+    assert.deepEqual((await synced).removed, [reflection.id]);
+  });
+});
+
+test('the engine\'s own writes are not reported as external changes', async () => {
+  await withEngines('directory', async (watched) => {
+    const reports = [];
+    watched.on('reflections-synced', report => reports.push(report));
+    await watched.reflectThought('The river at dawn', 'deep', false);
+    await sleep(200);
+    assert.deepEqual(reports, []);
+  });
+});
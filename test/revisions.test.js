@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+async function withEngine(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-revisions-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    await run(engine, path);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+const THOUGHT = 'Walking in the quiet garden at dawn brings calm';
+
+test('reflecting a thought again adds a revision under the same id', async () => {
+  await withEngine(async (engine, path) => {
+    const { reflection: first } = await engine.reflectThought(THOUGHT, 'surface', false);
+    await engine.reflectThought('Walking in the quiet garden at dawn brings restless hands', 'deep', false);
+    const { reflection: again } = await engine.reflectThought(THOUGHT, 'abyss', false);
+
+    assert.equal(again.id, first.id);
+    assert.equal(again.createdAt, first.createdAt);
+    assert.equal(engine.reflections.size, 2);
+    assert.deepEqual(again.revisions.map(revision => [revision.revision, revision.depth]), [[1, 'surface'], [2, 'abyss']]);
+    // A thought never echoes itself
+    assert.ok(again.mirrors.every(mirror => mirror.id !== again.id));
+    assert.deepEqual(engine.timeline.map(entry => entry.type), ['reflection', 'reflection', 'revision']);
+
+    const reopened = new ReflectionEngine(path);
+    await reopened.initialize();
+    assert.equal(reopened.reflections.get(first.id).revisions.length, 2);
+    assert.deepEqual(reopened.timeline.map(entry => entry.type).sort(), ['reflection', 'reflection', 'revision']);
+    await reopened.close();
+  });
+});
+
+test('history compares every visit with the one before it', async () => {
+  await withEngine(async (engine) => {
+    await engine.reflectThought(THOUGHT, 'deep', false);
+    const { reflection: echo } = await engine.reflectThought('Walking in the quiet garden at dawn brings restless hands', 'deep', false);
+    await engine.reflectThought(THOUGHT, 'abyss', false);
+
+    const history = engine.getReflectionHistory({ thought: THOUGHT });
+    assert.equal(history.visits, 2);
+    assert.equal(history.revisions[0].changes, null);
+
+    const { changes } = history.revisions[1];
+    assert.deepEqual(changes.depth, { from: 'deep', to: 'abyss' });
+    assert.deepEqual(changes.newEchoes, [{ id: echo.id, thought: echo.original }]);
+    assert.deepEqual(changes.fadedEchoes, []);
+    assert.ok(changes.resonance > 0);
+    assert.equal(history.resonanceChange, changes.resonance);
+    assert.ok(changes.daysSinceLastVisit >= 0);
+
+    assert.deepEqual(engine.getReflectionHistory({ id: history.id }).revisions, history.revisions);
+    assert.throws(() => engine.getReflectionHistory({ id: 'missing' }), /No reflection with id missing/);
+    assert.throws(() => engine.getReflectionHistory({ thought: 'never said' }), /not been reflected yet/);
+  });
+});
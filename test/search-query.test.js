@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseSearchQuery, positiveTerms, SearchQueryError } from '../lib/search-query.js';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+test('words are joined by an implied AND', () => {
+  assert.deepEqual(parseSearchQuery('art music'), {
+    type: 'and',
+    children: [{ type: 'term', word: 'art' }, { type: 'term', word: 'music' }]
+  });
+});
+
+test('OR binds looser than AND, parentheses group', () => {
+  assert.deepEqual(parseSearchQuery('a b OR (c OR d)'), {
+    type: 'or',
+    children: [
+      { type: 'and', children: [{ type: 'term', word: 'a' }, { type: 'term', word: 'b' }] },
+      { type: 'or', children: [{ type: 'term', word: 'c' }, { type: 'term', word: 'd' }] }
+    ]
+  });
+});
+
+test('a minus negates words, phrases and groups', () => {
+  assert.deepEqual(parseSearchQuery('-fear'), { type: 'not', child: { type: 'term', word: 'fear' } });
+  assert.deepEqual(parseSearchQuery('-"bad day" garden'), {
+    type: 'and',
+    children: [
+      { type: 'not', child: { type: 'phrase', words: ['bad', 'day'] } },
+      { type: 'term', word: 'garden' }
+    ]
+  });
+  assert.equal(parseSearchQuery('-(work OR money)').type, 'not');
+  // Inside a word it is part of the word
+  assert.deepEqual(parseSearchQuery('self-doubt'), { type: 'phrase', words: ['self', 'doubt'] });
+});
+
+test('negated terms never count towards highlighting', () => {
+  const terms = positiveTerms(parseSearchQuery('garden -"bad day" NOT rain'));
+  assert.deepEqual(terms, { words: ['garden'], phrases: [] });
+});
+
+test('known fields are parsed and validated', () => {
+  assert.deepEqual(parseSearchQuery('depth:abyss'), { type: 'field', field: 'depth', value: 'abyss' });
+  assert.deepEqual(parseSearchQuery('Tag:Work'), { type: 'field', field: 'tag', value: 'work' });
+  assert.deepEqual(parseSearchQuery('resonance:0.5'), { type: 'field', field: 'resonance', value: 0.5 });
+  assert.throws(() => parseSearchQuery('depth:bottomless'), SearchQueryError);
+  assert.throws(() => parseSearchQuery('after:someday'), SearchQueryError);
+});
+
+test('other words with a colon are searched as text', () => {
+  assert.deepEqual(parseSearchQuery('10:30'), { type: 'phrase', words: ['10', '30'] });
+  assert.deepEqual(parseSearchQuery('http://x.org'), { type: 'phrase', words: ['http', 'x', 'org'] });
+  assert.deepEqual(parseSearchQuery('note:'), { type: 'term', word: 'note' });
+});
+
+test('malformed queries are reported', () => {
+  assert.throws(() => parseSearchQuery('"open phrase'), SearchQueryError);
+  assert.throws(() => parseSearchQuery('(art'), SearchQueryError);
+  assert.throws(() => parseSearchQuery('art OR'), SearchQueryError);
+  assert.equal(parseSearchQuery('   '), null);
+});
+
+test('search excludes reflections matching a negated phrase', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-search-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    const { reflection: bad } = await engine.reflectThought('A bad day in the garden', 'deep', false);
+    const { reflection: good } = await engine.reflectThought('A good day in the garden', 'deep', false);
+    await engine.reflectThought('Meeting at 10:30 about the garden', 'deep', false);
+
+    const excluded = engine.searchReflections('-"bad day" garden');
+    const ids = excluded.results.map(result => result.id);
+    assert.ok(ids.includes(good.id));
+    assert.ok(!ids.includes(bad.id));
+    assert.equal(excluded.total, 2);
+
+    assert.equal(engine.searchReflections('meeting at 10:30').total, 1);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+});
+
+test('search evaluates the query against every reflection', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-search-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    const { reflection: rain } = await engine.reflectThought('Rain on the garden all morning', 'deep', false);
+    const { reflection: sun } = await engine.reflectThought('Sun on the garden all evening', 'abyss', false);
+    await engine.reflectThought('Invoices and spreadsheets', 'deep', false);
+
+    const garden = engine.searchReflections('garden -rain');
+    assert.deepEqual(garden.results.map(result => result.id), [sun.id]);
+    assert.equal(engine.searchReflections('garden depth:deep').results[0].id, rain.id);
+    assert.equal(engine.searchReflections('rain OR sun').total, 2);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+});
+
+test('before excludes its own moment and after includes it, in filters and in queries', async () => {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-search-'));
+  const engine = new ReflectionEngine(path);
+  await engine.initialize();
+  try {
+    const { reflection } = await engine.reflectThought('Rain on the garden at noon', 'deep', false);
+    const moment = reflection.timestamp;
+    const later = new Date(new Date(moment).getTime() + 1).toISOString();
+
+    assert.equal(engine.queryReflections({ before: moment }).length, 0);
+    assert.equal(engine.queryReflections({ before: later }).length, 1);
+    assert.equal(engine.queryReflections({ after: moment }).length, 1);
+    assert.equal(engine.searchReflections('garden', { before: moment }).total, 0);
+    assert.equal(engine.searchReflections(`garden before:${moment}`).total, 0);
+    assert.equal(engine.searchReflections(`garden after:${moment}`).total, 1);
+  } finally {
+    await engine.close();
+    await rm(path, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { HashingVectorProvider } from '../lib/similarity/hashing-provider.js';
+import { WordVectorProvider } from '../lib/similarity/word-vector-provider.js';
+import { cosineSimilarity, createSimilarityProvider } from '../lib/similarity/index.js';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+
+// A tiny word2vec text file: making words on one axis, money on another
+const WORD_VECTORS = `8 3
+make 0.9 0.1 0
+things 0.7 0.2 0.1
+drives 0.8 0 0.2
+creativity 1 0.1 0.1
+why 0.1 0.1 0.1
+what 0.1 0.1 0.1
+money 0 0.1 1
+taxes 0 0 0.9
+`;
+
+async function withDirectory(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-similarity-'));
+  try {
+    await run(path);
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+test('hashing vectors are normalized and repeatable', () => {
+  const provider = new HashingVectorProvider({ dimensions: 64 });
+  const vector = provider.embed('Why do I create?');
+  assert.equal(vector.length, 64);
+  assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9);
+  assert.deepEqual(new HashingVectorProvider({ dimensions: 64 }).embed('Why do I create?'), vector);
+  assert.ok(provider.embed('').every(value => value === 0));
+});
+
+test('hashing vectors bring word forms together', () => {
+  const provider = new HashingVectorProvider();
+  const similarity = (a, b) => cosineSimilarity(provider.embed(a), provider.embed(b));
+  assert.ok(similarity('creating', 'create') > similarity('creating', 'taxes'));
+  assert.ok(similarity('creativity', 'creative') > 0.3);
+});
+
+test('word vectors average the known words of a thought', async () => {
+  await withDirectory(async (path) => {
+    const file = join(path, 'vectors.txt');
+    await writeFile(file, WORD_VECTORS);
+    const provider = createSimilarityProvider({ wordVectorsPath: file });
+    await provider.initialize();
+
+    assert.equal(provider.id, 'word-vectors-vectors.txt-3');
+    assert.equal(provider.vectors.size, 8);
+    const similarity = (a, b) => cosineSimilarity(provider.embed(a), provider.embed(b));
+    assert.ok(similarity('make things', 'creativity') > 0.9);
+    assert.ok(similarity('make things', 'money taxes') < 0.3);
+    assert.ok(provider.embed('unknown words only').every(value => value === 0));
+  });
+});
+
+test('an empty word vectors file is refused', async () => {
+  await withDirectory(async (path) => {
+    await writeFile(join(path, 'empty.txt'), '0 0\n');
+    await assert.rejects(new WordVectorProvider({ path: join(path, 'empty.txt') }).initialize(), /No word vectors/);
+    assert.throws(() => new WordVectorProvider({}), /needs the path/);
+  });
+});
+
+test('semantic mode finds echoes that share no words', async () => {
+  await withDirectory(async (path) => {
+    const file = join(path, 'vectors.txt');
+    await writeFile(file, WORD_VECTORS);
+    const engine = new ReflectionEngine(join(path, 'archive'), { similarity: { wordVectorsPath: file } });
+    await engine.initialize();
+
+    const { reflection: first } = await engine.reflectThought('Why do I make things?', 'deep', false);
+    await engine.reflectThought('Money and taxes', 'deep', false);
+
+    const lexical = await engine.findEchoes('What drives my creativity?', 'deep', 'lexical');
+    assert.deepEqual(lexical, []);
+
+    for (const mode of ['semantic', 'hybrid']) {
+      const echoes = await engine.findEchoes('What drives my creativity?', 'deep', mode);
+      assert.deepEqual(echoes.map(echo => echo.id), [first.id], mode);
+      assert.ok(echoes[0].semanticSimilarity > 0.9);
+    }
+    await assert.rejects(engine.reflectThought('x', 'deep', false, { similarity: 'psychic' }), /Unknown similarity mode/);
+    await engine.close();
+  });
+});
+
+test('without word vectors semantic mode cannot match thoughts worded differently', async () => {
+  await withDirectory(async (path) => {
+    const engine = new ReflectionEngine(path);
+    await engine.initialize();
+    await engine.reflectThought('Why do I make things?', 'deep', false);
+
+    assert.deepEqual(await engine.findEchoes('What drives my creativity?', 'deep', 'semantic'), []);
+    await engine.close();
+  });
+});
+
+test('vectors of another provider are recomputed', async () => {
+  await withDirectory(async (path) => {
+    const engine = new ReflectionEngine(path);
+    await engine.initialize();
+    const { reflection } = await engine.reflectThought('Why do I make things?', 'deep', false);
+    assert.equal(reflection.vector.provider, engine.similarityProvider.id);
+    await engine.close();
+
+    const other = new ReflectionEngine(path, { similarityProvider: new HashingVectorProvider({ dimensions: 32 }) });
+    await other.initialize();
+    const stored = other.reflections.get(reflection.id);
+    assert.equal(other.vectorFor(stored).length, 32);
+    assert.equal(stored.vector.provider, other.similarityProvider.id);
+    await other.close();
+  });
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { createSnapshot, restoreSnapshot, readSnapshot, SnapshotError } from '../lib/storage/snapshot.js';
+import { verifyArchive } from '../lib/storage/integrity.js';
+
+async function withArchive(backend, run) {
+  const root = await mkdtemp(join(tmpdir(), 'mirrorpool-snapshot-'));
+  const path = join(root, 'reflections');
+  const engine = new ReflectionEngine(path, { storage: backend });
+  await engine.initialize();
+  try {
+    await run(engine, path);
+  } finally {
+    await engine.close();
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+for (const backend of ['directory', 'jsonl', 'embedded']) {
+  test(`${backend}: a restored archive verifies clean`, () => withArchive(backend, async (engine, path) => {
+    await engine.reflectThought('The river at dawn', 'deep', false);
+    await engine.reflectThought('The river at dusk', 'deep', false);
+    const snapshot = await createSnapshot(path, { backend });
+
+    await engine.reflectThought('A garden after rain', 'deep', false);
+    const report = await restoreSnapshot(snapshot.path, path, { backend });
+    assert.ok(report.safetySnapshot, 'the archive before the restore is kept');
+
+    await engine.reload();
+    assert.deepEqual([...engine.reflections.values()].map(reflection => reflection.original).sort(),
+      ['The river at dawn', 'The river at dusk']);
+    const verified = await verifyArchive(backend, path);
+    assert.equal(verified.ok, true, JSON.stringify(verified));
+    assert.equal(verified.checked.reflections, 2);
+  }));
+}
+
+test('deleting a reflection after a snapshot is not a problem', () => withArchive('directory', async (engine, path) => {
+  const { reflection: kept } = await engine.reflectThought('Morning pages', 'deep', false);
+  const { reflection: removed } = await engine.reflectThought('Evening pages', 'deep', false);
+  const snapshot = await createSnapshot(path, { backend: 'directory' });
+
+  await engine.deleteReflection(removed.id);
+  const verified = await verifyArchive('directory', path);
+  assert.equal(verified.ok, true, JSON.stringify(verified));
+  assert.equal(verified.sinceSnapshot, undefined);
+
+  const compared = await verifyArchive('directory', path, { compareWith: snapshot.path });
+  assert.equal(compared.ok, true);
+  assert.deepEqual(compared.sinceSnapshot.removed, [`${removed.id}.json`]);
+  assert.ok(engine.reflections.has(kept.id));
+}));
+
+test('verify reports orphans, dangling edges and mirrors of missing reflections', () => withArchive('directory', async (engine, path) => {
+  const { reflection: first } = await engine.reflectThought('The river at dawn', 'deep', false);
+  const { reflection: second } = await engine.reflectThought('The river at dawn again', 'deep', false);
+  await writeFile(join(path, 'stray.json.1234.abcd.tmp'), '{');
+  await rm(join(path, `${first.id}.json`));
+
+  const verified = await verifyArchive('directory', path);
+  assert.equal(verified.ok, false);
+  assert.ok(verified.orphaned.some(({ source }) => source.endsWith('.tmp')));
+  assert.ok(verified.danglingEdges.some(edge => edge.missing.includes(first.id)));
+  assert.deepEqual(verified.missing, [
+    { source: `${second.id}.json`, reason: `mirrors reflections that do not exist: ${first.id}` }
+  ]);
+}));
+
+test('a damaged snapshot is refused', () => withArchive('directory', async (engine, path) => {
+  await engine.reflectThought('Something to keep', 'deep', false);
+  const snapshot = await createSnapshot(path, { backend: 'directory' });
+  await writeFile(snapshot.path, 'not a snapshot');
+
+  await assert.rejects(readSnapshot(snapshot.path), SnapshotError);
+  await assert.rejects(restoreSnapshot(snapshot.path, path), SnapshotError);
+}));
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStorage } from '../lib/storage/index.js';
+import { normalizeReflection } from '../lib/reflection-schema.js';
+
+const ARCHIVE_FILES = { jsonl: 'reflections.jsonl', embedded: 'mirrorpool.db' };
+
+function reflection(id, original) {
+  const timestamp = '2026-03-01T09:00:00.000Z';
+  return normalizeReflection({ id, original, depth: 'deep', timestamp, mirrors: [], resonance: 0, evolution: null });
+}
+
+for (const backend of Object.keys(ARCHIVE_FILES)) {
+  test(`${backend}: a failed write does not block later writes`, async () => {
+    const root = await mkdtemp(join(tmpdir(), 'mirrorpool-writes-'));
+    const path = join(root, 'reflections');
+    const blocker = join(path, ARCHIVE_FILES[backend]);
+    try {
+      const storage = createStorage(backend, path);
+      await storage.open();
+      await storage.load();
+
+      // A directory where the archive file should be makes the write fail
+      await mkdir(blocker, { recursive: true });
+      await assert.rejects(storage.putReflection(reflection('a', 'The first thought')));
+
+      await rm(blocker, { recursive: true });
+      await storage.putReflection(reflection('b', 'The second thought'));
+      await storage.putConnections([]);
+      await storage.close();
+
+      const reopened = createStorage(backend, path);
+      await reopened.open();
+      const { records } = await reopened.load();
+      await reopened.close();
+      const ids = records.map(record => record.data.id).sort();
+      // The log lost the failed append; the database keeps it pending and writes it next time
+      assert.deepEqual(ids, backend === 'embedded' ? ['a', 'b'] : ['b']);
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+}
+
+test('directory: reflections and connections round-trip', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'mirrorpool-writes-'));
+  try {
+    const storage = createStorage('directory', root);
+    await storage.open();
+    await storage.putReflections([reflection('a', 'One'), reflection('b', 'Two')]);
+    await storage.putConnections([{ from: 'a', to: 'b', strength: 0.5 }]);
+    await storage.deleteReflection('a');
+
+    const { records, errors, connections } = await storage.load();
+    assert.deepEqual(records.map(record => record.data.id), ['b']);
+    assert.deepEqual(errors, []);
+    assert.equal(connections.length, 1);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
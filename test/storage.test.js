@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, mkdir, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReflectionEngine } from '../lib/reflection-engine.js';
+import { STORAGE_BACKENDS, createStorage, migrateStorage } from '../lib/storage/index.js';
+
+const THOUGHTS = [
+  'Walking in the quiet garden at dawn brings calm',
+  'Walking in the quiet garden at dawn brings restless hands',
+  'Restless hands want clay'
+];
+
+async function withDirectory(run) {
+  const path = await mkdtemp(join(tmpdir(), 'mirrorpool-storage-'));
+  try {
+    await run(path);
+  } finally {
+    await rm(path, { recursive: true, force: true });
+  }
+}
+
+async function fillArchive(path, backend) {
+  const engine = new ReflectionEngine(path, { storage: backend });
+  await engine.initialize();
+  for (const thought of THOUGHTS) await engine.reflectThought(thought, 'deep', false);
+  const state = { ids: [...engine.reflections.keys()].sort(), edges: engine.serializeConnections() };
+  await engine.close();
+  return state;
+}
+
+for (const backend of Object.keys(STORAGE_BACKENDS)) {
+  test(`${backend}: reflections and connections survive a restart`, async () => {
+    await withDirectory(async (path) => {
+      const saved = await fillArchive(path, backend);
+      assert.equal(saved.ids.length, 3);
+      assert.ok(saved.edges.length > 0);
+
+      const engine = new ReflectionEngine(path, { storage: backend });
+      await engine.initialize();
+      assert.deepEqual([...engine.reflections.keys()].sort(), saved.ids);
+      assert.deepEqual(engine.serializeConnections(), saved.edges);
+      assert.deepEqual(engine.loadReport.skipped, []);
+      await engine.close();
+    });
+  });
+
+  test(`${backend}: a deleted reflection stays deleted`, async () => {
+    await withDirectory(async (path) => {
+      const { ids } = await fillArchive(path, backend);
+      const storage = createStorage(backend, path);
+      await storage.open();
+      await storage.load();
+      await storage.deleteReflection(ids[0]);
+      await storage.close();
+
+      const reopened = createStorage(backend, path);
+      await reopened.open();
+      const { records } = await reopened.load();
+      assert.deepEqual(records.map(record => record.data.id).sort(), ids.slice(1));
+      await reopened.close();
+    });
+  });
+}
+
+test('the jsonl log keeps history until it is compacted', async () => {
+  await withDirectory(async (path) => {
+    const storage = createStorage('jsonl', path);
+    await storage.open();
+    await storage.load();
+    const record = { id: 'r1', original: 'first wording' };
+    await storage.putReflection(record);
+    await storage.putReflection({ ...record, original: 'second wording' });
+    await storage.putReflection({ id: 'r2', original: 'soon gone' });
+    await storage.deleteReflection('r2');
+
+    assert.deepEqual((await storage.history('r1')).map(({ reflection }) => reflection.original),
+      ['first wording', 'second wording']);
+
+    const report = await storage.compact();
+    assert.deepEqual(report, { before: 4, after: 1, dropped: 0 });
+    const log = (await readFile(join(path, 'reflections.jsonl'), 'utf8')).trim().split('\n');
+    assert.equal(log.length, 1);
+    assert.equal(JSON.parse(log[0]).reflection.original, 'second wording');
+    await storage.close();
+  });
+});
+
+test('an append made while the jsonl log compacts is kept', async () => {
+  await withDirectory(async (path) => {
+    const storage = createStorage('jsonl', path);
+    await storage.open();
+    await storage.load();
+    await storage.putReflection({ id: 'r1', original: 'first wording' });
+    await storage.putReflection({ id: 'r1', original: 'second wording' });
+
+    const [report] = await Promise.all([
+      storage.compact(),
+      storage.putReflection({ id: 'r2', original: 'written during compaction' })
+    ]);
+    assert.deepEqual(report, { before: 2, after: 1, dropped: 0 });
+    await storage.close();
+
+    const { records } = await storage.load();
+    assert.deepEqual(records.map(record => record.data.original), ['second wording', 'written during compaction']);
+  });
+});
+
+test('a corrupt jsonl line is reported and the rest still loads', async () => {
+  await withDirectory(async (path) => {
+    const storage = createStorage('jsonl', path);
+    await storage.open();
+    await storage.putReflection({ id: 'r1', original: 'kept' });
+    await storage.close();
+    await appendFile(join(path, 'reflections.jsonl'), '{"op": "put"\n');
+
+    const { records, errors } = await storage.load();
+    assert.deepEqual(records.map(record => record.data.id), ['r1']);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].source, 'reflections.jsonl:2');
+  });
+});
+
+for (const [from, to] of [['directory', 'jsonl'], ['jsonl', 'embedded'], ['embedded', 'directory']]) {
+  test(`migrating from ${from} to ${to} keeps every reflection and connection`, async () => {
+    await withDirectory(async (path) => {
+      const saved = await fillArchive(path, from);
+      const target = join(path, 'migrated');
+
+      const report = await migrateStorage(createStorage(from, path), createStorage(to, target));
+      assert.equal(report.migrated, 3);
+      assert.equal(report.connections, saved.edges.length);
+
+      const engine = new ReflectionEngine(target, { storage: to });
+      await engine.initialize();
+      assert.deepEqual([...engine.reflections.keys()].sort(), saved.ids);
+      assert.deepEqual(engine.serializeConnections(), saved.edges);
+      await engine.close();
+    });
+  });
+}
+
+test('a failed migration closes both stores and names the partial target', async () => {
+  await withDirectory(async (path) => {
+    await fillArchive(path, 'directory');
+    const targetPath = join(path, 'migrated');
+    // A directory where the log should be makes every append fail
+    await mkdir(join(targetPath, 'reflections.jsonl'), { recursive: true });
+
+    const source = createStorage('directory', path);
+    const target = createStorage('jsonl', targetPath);
+    const closed = [];
+    for (const store of [source, target]) {
+      const close = store.close.bind(store);
+      store.close = async () => {
+        closed.push(store.type);
+        await close();
+      };
+    }
+
+    await assert.rejects(migrateStorage(source, target), error => {
+      assert.match(error.message, /^Migration to the jsonl archive at .*migrated failed and may have left a partial copy there/);
+      assert.equal(error.cause.code, 'EISDIR');
+      return true;
+    });
+    assert.deepEqual(closed, ['directory', 'jsonl']);
+  });
+});
+
+test('an unknown backend is refused', () => {
+  assert.throws(() => createStorage('cloud', 'x'), /Unknown storage backend: cloud/);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { termFrequencies, tokenize } from '../lib/text-analysis.js';
+
+test('punctuation never sticks to a word', () => {
+  assert.deepEqual(tokenize('Why do I create? Create, create!'), ['why', 'do', 'i', 'create', 'create', 'create']);
+  assert.deepEqual(tokenize('I’m here — don\'t go'), ["i'm", 'here', "don't", 'go']);
+  assert.deepEqual(tokenize('Año 2024: sueño'), ['año', '2024', 'sueño']);
+});
+
+test('term frequencies count repeated tokens', () => {
+  assert.deepEqual([...termFrequencies(['clay', 'hands', 'clay'])], [['clay', 2], ['hands', 1]]);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketSeries, describeTrend, linearTrend } from '../lib/trend.js';
+
+function series(values, count = 10) {
+  return values.map(value => ({ value, count }));
+}
+
+test('the slope is the least-squares fit and its confidence a t-test', () => {
+  const { slope, confidence } = linearTrend([[0, 1], [1, 3], [2, 2], [3, 5], [4, 4], [5, 6]]);
+  assert.ok(Math.abs(slope - 31 / 35) < 1e-12);
+  assert.ok(Math.abs(confidence - 0.98116) < 1e-3);
+
+  const noisy = linearTrend([[0, 2], [1, 1], [2, 2], [3, 1], [4, 3]]);
+  assert.ok(Math.abs(noisy.slope - 0.2) < 1e-12);
+  assert.ok(Math.abs(noisy.confidence - 0.4695) < 1e-3);
+});
+
+test('exact lines and short series are handled without a t-test', () => {
+  assert.deepEqual(linearTrend([[0, 1], [1, 2], [2, 3]]), { slope: 1, confidence: 1 });
+  assert.deepEqual(linearTrend([[0, 4], [1, 4], [2, 4]]), { slope: 0, confidence: 0 });
+  assert.deepEqual(linearTrend([[0, 1], [1, 5]]), { slope: 0, confidence: 0 });
+});
+
+test('buckets hold the share of opportunities taken', () => {
+  const day = index => new Date(Date.UTC(2024, 0, 1 + index)).toISOString();
+  const opportunities = Array.from({ length: 9 }, (_, index) => day(index));
+  // Taken in every reflection of the first third, none of the last
+  const buckets = bucketSeries([day(0), day(1), day(2), day(3)], opportunities, 3);
+
+  assert.equal(buckets.length, 3);
+  assert.deepEqual(buckets.map(bucket => bucket.opportunities), [3, 3, 3]);
+  assert.deepEqual(buckets.map(bucket => bucket.value), [1, 1 / 3, 0]);
+  assert.deepEqual(bucketSeries([], []), []);
+});
+
+test('trajectories', () => {
+  assert.equal(describeTrend(series([1, 2, 3, 4, 5, 6])).trajectory, 'ascending');
+  assert.equal(describeTrend(series([6, 5, 5, 3, 2, 1])).trajectory, 'descending');
+  assert.equal(describeTrend(series([1, 5, 1, 5, 1, 5])).trajectory, 'oscillating');
+  assert.equal(describeTrend(series([4, 4, 4, 4, 4, 4])).trajectory, 'stable');
+
+  // A small rise, however steady, is not a trend
+  const slight = describeTrend(series([10, 10.1, 10.2, 10.3, 10.4, 10.5]));
+  assert.equal(slight.trajectory, 'stable');
+  assert.equal(slight.trend.change, 0.049);
+});
+
+test('sparse swings are not an oscillation', () => {
+  // One event now and then swings between empty and full buckets by chance
+  const sparse = describeTrend([0, 1, 0, 1, 0, 1].map(value => ({ value, count: value })));
+  assert.equal(sparse.trajectory, 'stable');
+});
+
+test('too few buckets say nothing with confidence', () => {
+  const { trajectory, trend } = describeTrend(series([1, null, 3]));
+  assert.equal(trajectory, 'stable');
+  assert.equal(trend.confidence, 0);
+  assert.deepEqual(trend.series.map(bucket => bucket.value), [1, null, 3]);
+});